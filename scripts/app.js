@@ -2,16 +2,36 @@
  * app.js — Main entry point.
  */
 
-import { initState, addRecord, updateRecord, deleteRecord, getRecord,
-         getRecords, getSettings, updateSettings, replaceAllRecords } from './state.js';
-import { validateForm }           from './validators.js';
-import { compileRegex }           from './search.js';
-import { exportJSON, importJSON } from './storage.js';
+import { initState, addRecord, updateRecord, updateSeriesFrom, deleteRecord, getRecord,
+         getRecords, getSettings, updateSettings, replaceAllRecords,
+         updateRecords, deleteRecords, planMerge, applyMerge, markSynced,
+         transaction, undo, redo, planRebalance, applyRebalance,
+         applyRemoteChange, getSnapshots, diffSnapshot, restoreSnapshot,
+         findDependencyCycle, getFocus, startFocus, stopFocus, advanceFocus,
+         FOCUS_MINUTES, BREAK_MINUTES, computeWeeklyReview, rollOverUnfinished,
+         applyOverduePolicy, OVERDUE_POLICIES, getTags, tagLabel, findTagByLabel, tagUsage,
+         addTag, updateTag, mergeTags, deleteTag, budgetOverruns, moveRecord,
+         saveView, findSavedView, deleteView, updateCaps } from './state.js';
+import { validateForm, validateRecurrence, validateSubtasks, validateTag, extractTime } from './validators.js';
+import { compileQuery }           from './search.js';
+import { exportJSON, importJSON, exportCSV, importCSV, exportICS, importICS,
+         exportReview, takeStorageNotices, onPersistError, onRemoteChange } from './storage.js';
+import { CSV_FIELDS, guessCSVMapping, mapCSVRows } from './formats.js';
+import { addDays, daysBetween, todayISO } from './dates.js';
 import { showSection, renderTable, renderDashboard, renderStatsSection,
-         renderSettings, renderCalendar, calNavigate, calJumpToday,
-         openModal, closeModal, clearModalErrors, showModalError,
-         openDayOverlay, closeDayOverlay,
-         populateTagFilter, announce, setSearch, setSort } from './ui.js';
+         renderSettings, renderCalendar, calNavigate, calJumpToday, calShowDate, previewCalDrop, clearCalDrop,
+         calShowAll, getCalMove, startCalMove, stepCalMove, endCalMove,
+         CAL_VIEWS, getCalView, setCalView,
+         openModal, closeModal, clearModalErrors, showModalError, syncRepeatFields,
+         openDayOverlay, closeDayOverlay, openRebalanceDialog, closeRebalanceDialog,
+         populateTagFilter, announce, setSearch, setSort, getSort, setTagFilter,
+         renderViewList, SMART_VIEWS, viewSettings,
+         getSelection, clearSelection, selectRow, selectAllVisible,
+         openImportDialog, closeImportDialog,
+         openMergeDialog, readMergeChoices, closeMergeDialog,
+         openSnapshotPreview, closeSnapshotPreview,
+         addSubtaskRow, labelSubtaskRows, syncDependencyWarning, renderFocusBar,
+         setStatsRange, getStatsRange, renderReview, setReviewWeek, getReviewWeek, setTagAction } from './ui.js';
 
 // ── Boot ──────────────────────────────────────────────────────────────────
 
@@ -22,26 +42,54 @@ async function init() {
     if (res.ok) seed = await res.json();
   } catch { /* offline */ }
 
-  initState(seed);
+  onPersistError((e, what) => what === 'snapshot'
+    ? announce(`Today's restore point could not be kept (${e?.name === 'QuotaExceededError' ? 'storage is full' : e?.message || 'storage error'}). Your activities are still saved.`)
+    : announce(e?.name === 'QuotaExceededError'
+      ? 'Storage is full, so your latest changes were not saved. Export a backup, then delete old activities to free space.'
+      : `Your latest changes could not be saved (${e?.message || 'storage error'}). Export a backup to keep them safe.`,
+      true, { label: 'Export backup', onClick: () => exportJSON(getRecords(), getTags()) }));
+
+  await initState(seed);
+
+  const notices = takeStorageNotices();
+  if (notices.length) announce(notices.join(' '), true);
+
+  const rolled = applyOverduePolicy();
+  if (rolled.length) {
+    const where = getSettings().overduePolicy === 'today' ? 'today' : 'the next days with room';
+    announceUndoable(`${rolled.length} overdue activit${rolled.length === 1 ? 'y' : 'ies'} rolled over to ${where}.`);
+  }
 
   renderDashboard();
   renderTable();
   renderSettings();
   refreshTagFilter();
 
-  const validViews = ['dashboard','planner','stats','settings','about','calendar'];
-  const hash = location.hash.slice(1);
-  showSection(validViews.includes(hash) ? hash : 'dashboard');
+  // #calendar/week picks the calendar view; otherwise the last one chosen
+  const [hash, calView] = location.hash.slice(1).split('/');
+  setCalView(CAL_VIEWS.includes(calView) ? calView : getSettings().calendarView);
+  if (getCalView() !== getSettings().calendarView) updateSettings({ calendarView: getCalView() }, { history: false });
+  showSection(VALID_VIEWS.includes(hash) ? hash : 'dashboard');
+  if (hash === 'review') renderReview();
+  if (hash === 'calendar') renderCalendar();
 
   wireNav();
   wireNewBtns();
   wireModal();
   wireDashboardDelegation();
   wireTable();
+  wireBulk();
   wireSearch();
+  wireViews();
   wireCalendar();
+  wireRebalance();
+  wireStats();
+  wireReview();
   wireSettings();
   wireImportExport();
+  wireHistory();
+  wireTabSync();
+  wireFocus();
 
   // Expose openModal globally so inline onclick in today-list can reach it
   window.__cf_openModal = () => openModal();
@@ -49,24 +97,46 @@ async function init() {
 
 // ── Navigation ────────────────────────────────────────────────────────────
 
+const VALID_VIEWS = ['dashboard','planner','stats','review','settings','about','calendar'];
+
+function openView(view) {
+  showSection(view);
+  if (view === 'dashboard') renderDashboard();
+  if (view === 'planner')   renderTable();
+  if (view === 'stats')     { renderDashboard(); renderStatsSection(); }
+  if (view === 'review')    renderReview();
+  if (view === 'settings')  renderSettings();
+  if (view === 'calendar')  renderCalendar();
+}
+
 function wireNav() {
   document.querySelectorAll('.nav-link').forEach(link => {
     link.addEventListener('click', e => {
       e.preventDefault();
       const view = link.dataset.view;
-      showSection(view);
-      location.hash = view;
-      if (view === 'dashboard') renderDashboard();
-      if (view === 'planner')   renderTable();
-      if (view === 'stats')     { renderDashboard(); renderStatsSection(); }
-      if (view === 'settings')  renderSettings();
-      if (view === 'calendar')  renderCalendar();
+      openView(view);
+      location.hash = view === 'calendar' ? `calendar/${getCalView()}` : view;
       // Close mobile nav
       document.getElementById('nav-menu')?.classList.remove('nav-open');
       document.getElementById('burger')?.setAttribute('aria-expanded', 'false');
     });
   });
 
+  // Back/forward and links such as #calendar/week once the app is open. The
+  // hash set by a nav click lands here too, with nothing left to change.
+  window.addEventListener('hashchange', () => {
+    const [view, calView] = location.hash.slice(1).split('/');
+    const switched = CAL_VIEWS.includes(calView) && calView !== getCalView();
+    if (switched) {
+      if (getCalMove()) cancelCalMove();
+      setCalView(calView);
+      updateSettings({ calendarView: getCalView() }, { history: false });
+    }
+    if (!VALID_VIEWS.includes(view)) return;
+    if (document.getElementById(view)?.hidden) openView(view);
+    else if (switched) renderCalendar();
+  });
+
   const burger  = document.getElementById('burger');
   const navMenu = document.getElementById('nav-menu');
   burger?.addEventListener('click', () => {
@@ -105,38 +175,105 @@ function wireModal() {
     clearModalErrors();
 
     const raw = {
-      title:    document.getElementById('f-title').value,
-      dueDate:  document.getElementById('f-date').value,
-      duration: document.getElementById('f-duration').value,
-      tag:      document.getElementById('f-tag').value,
-      notes:    document.getElementById('f-notes').value,
-      status:   document.getElementById('f-status').value,
-      urgent:   document.getElementById('f-urgent').checked
+      title:     document.getElementById('f-title').value,
+      dueDate:   document.getElementById('f-date').value,
+      startTime: document.getElementById('f-time').value,
+      duration:  document.getElementById('f-duration').value,
+      tagIds:    [...(document.getElementById('f-tag')?.selectedOptions || [])].map(o => o.value),
+      notes:     document.getElementById('f-notes').value,
+      status:    document.getElementById('f-status').value,
+      urgent:    document.getElementById('f-urgent').checked,
+      priority:  document.getElementById('f-priority').value,
+      dependsOn: [...(document.getElementById('f-dependsOn')?.selectedOptions || [])].map(o => o.value)
     };
 
-    const errors   = validateForm(raw);
+    // "Lab 14:00" — a time typed into the title doubles as the start time
+    if (!raw.startTime) raw.startTime = extractTime(raw.title) || '';
+
+    const editId   = document.getElementById('edit-id').value;
+    const scope    = document.getElementById('edit-scope')?.hidden ? 'all'
+                   : document.querySelector('input[name="edit-scope"]:checked')?.value;
+    const rule     = scope === 'this' ? undefined : readRecurrence();
+    const steps    = readSubtasks();
+    const errors   = { ...validateForm({ ...raw, tag: raw.tagIds.map(tagLabel)[0] || '' }),
+                       recurrence: rule ? validateRecurrence(rule, raw.dueDate) : null,
+                       subtasks:   validateSubtasks(steps),
+                       dependsOn:  dependencyError(editId, raw.dependsOn) };
     let   hasError = false;
     for (const [field, msg] of Object.entries(errors)) {
       if (msg) { showModalError(field, msg); hasError = true; }
     }
     if (hasError) { announce('Please fix the highlighted errors.', true); return; }
 
-    const editId  = document.getElementById('edit-id').value;
-    const payload = { ...raw, duration: parseFloat(raw.duration) };
+    const payload = { ...raw, duration: parseFloat(raw.duration),
+                      subtasks: steps.map(st => ({ ...st, duration: parseFloat(st.duration) || 0 })) };
+    if (rule !== undefined) payload.recurrence = rule;
+    const overruns = budgetOverruns(payload, editId || null);
 
-    if (editId) { updateRecord(editId, payload); announce(`"${raw.title}" updated.`); }
-    else        { addRecord(payload);             announce(`"${raw.title}" added.`);   }
+    if (!editId) {
+      transaction(`Add "${raw.title}"`, () => addRecord(payload));
+      announceUndoable(`"${raw.title}" added.`);
+    } else if (scope === 'following') {
+      transaction(`Edit "${raw.title}"`, () => updateSeriesFrom(editId, payload));
+      announceUndoable(`"${raw.title}" updated from ${raw.dueDate} onwards.`);
+    } else {
+      transaction(`Edit "${raw.title}"`, () => updateRecord(editId, payload));
+      announceUndoable(`"${raw.title}" updated.`);
+    }
+    if (overruns.length) announce(overruns.map(budgetWarning).join(' '), true);
 
     closeModal();
     refreshAll();
   });
 
+  document.getElementById('f-title')?.addEventListener('blur', () => {
+    const timeEl = document.getElementById('f-time');
+    const found  = extractTime(document.getElementById('f-title')?.value);
+    if (timeEl && !timeEl.value && found) timeEl.value = found;
+  });
+
+  document.getElementById('btn-add-subtask')?.addEventListener('click', () => addSubtaskRow());
+  const subtaskList = document.getElementById('subtask-list');
+  subtaskList?.addEventListener('click', e => {
+    const btn = e.target.closest('.subtask-remove');
+    if (!btn) return;
+    const row = btn.closest('.subtask-row');
+    // Keep focus in the checklist: the next row, else the previous, else the add button
+    const next = row.nextElementSibling || row.previousElementSibling;
+    row.remove();
+    labelSubtaskRows();
+    (next?.querySelector('.subtask-title') || document.getElementById('btn-add-subtask'))?.focus();
+  });
+  subtaskList?.addEventListener('change', e => {
+    if (!e.target.matches('.subtask-done')) return;
+    labelSubtaskRows();
+    // Preview the status the checklist will move the activity to on save
+    const status = document.getElementById('f-status');
+    const boxes  = [...subtaskList.querySelectorAll('.subtask-done')];
+    const done   = boxes.filter(cb => cb.checked).length;
+    if (status && status.value !== 'canceled') {
+      status.value = done === boxes.length ? 'completed' : done ? 'in-progress' : 'not-started';
+    }
+  });
+  // Enter in a step adds the next one instead of submitting the form
+  subtaskList?.addEventListener('keydown', e => {
+    if (e.key !== 'Enter' || !e.target.matches('.subtask-title, .subtask-hrs')) return;
+    e.preventDefault();
+    addSubtaskRow();
+  });
+
+  document.getElementById('f-date')?.addEventListener('change', syncDependencyWarning);
+  document.getElementById('f-dependsOn')?.addEventListener('change', syncDependencyWarning);
+
+  document.getElementById('f-repeat')?.addEventListener('change', syncRepeatFields);
+  document.getElementById('edit-scope')?.addEventListener('change', syncRepeatFields);
+
   // Blur-time inline validation
-  const blurMap = { 'f-title':'title', 'f-date':'dueDate', 'f-duration':'duration', 'f-tag':'tag' };
+  const blurMap = { 'f-title':'title', 'f-date':'dueDate', 'f-time':'startTime', 'f-duration':'duration' };
   Object.entries(blurMap).forEach(([inputId, field]) => {
     document.getElementById(inputId)?.addEventListener('blur', () => {
       const val    = document.getElementById(inputId)?.value || '';
-      const errors = validateForm({ title:'', dueDate:'', duration:'', tag:'', [field]: val });
+      const errors = validateForm({ title:'', dueDate:'', duration:'', tag:'', startTime:'', [field]: val });
       const errEl  = document.getElementById(`err-${field}`);
       const inpEl  = document.getElementById(inputId);
       if (errors[field]) {
@@ -150,27 +287,31 @@ function wireModal() {
   });
 }
 
-// ── Dashboard delegation (edit on today-list + urgent panel) ─────────────
+// ── Dashboard delegation (edit on today-list, urgent + overdue panels) ───
 
 function wireDashboardDelegation() {
-  ['today-list','urgent-content'].forEach(id => {
+  ['today-list','next-up-list','urgent-content','overdue-content'].forEach(id => {
     document.getElementById(id)?.addEventListener('click', e => {
-      const editBtn = e.target.closest('.btn-edit');
+      const editBtn  = e.target.closest('.btn-edit');
+      const focusBtn = e.target.closest('.btn-focus');
       if (editBtn) {
         const rec = getRecord(editBtn.dataset.id);
         if (rec) openModal(rec);
       }
+      if (focusBtn) beginFocus(focusBtn.dataset.id);
     });
   });
 
-  // Urgent panel toggle
-  const toggle = document.getElementById('urgent-toggle');
-  const body   = document.getElementById('urgent-body');
-  toggle?.addEventListener('click', () => {
-    const open = body?.classList.toggle('open');
-    toggle.setAttribute('aria-expanded', String(open));
-    const chevron = toggle.querySelector('.chevron-icon');
-    if (chevron) chevron.style.transform = open ? 'rotate(180deg)' : 'rotate(0deg)';
+  // Urgent and overdue panel toggles
+  ['urgent', 'overdue'].forEach(name => {
+    const toggle = document.getElementById(`${name}-toggle`);
+    const body   = document.getElementById(`${name}-body`);
+    toggle?.addEventListener('click', () => {
+      const open = body?.classList.toggle('open');
+      toggle.setAttribute('aria-expanded', String(open));
+      const chevron = toggle.querySelector('.chevron-icon');
+      if (chevron) chevron.style.transform = open ? 'rotate(180deg)' : 'rotate(0deg)';
+    });
   });
 }
 
@@ -178,87 +319,348 @@ function wireDashboardDelegation() {
 
 function wireTable() {
   document.querySelectorAll('[data-sort]').forEach(th => {
-    th.addEventListener('click', () => { setSort(th.dataset.sort); renderTable(); });
+    th.addEventListener('click', () => { setSort(th.dataset.sort); leaveView(); renderTable(); });
     th.addEventListener('keydown', e => {
-      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); setSort(th.dataset.sort); renderTable(); }
+      if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); setSort(th.dataset.sort); leaveView(); renderTable(); }
     });
   });
 
   document.getElementById('records-tbody')?.addEventListener('click', e => {
-    const editBtn = e.target.closest('.btn-edit');
-    const delBtn  = e.target.closest('.btn-delete');
+    const editBtn  = e.target.closest('.btn-edit');
+    const delBtn   = e.target.closest('.btn-delete');
+    const focusBtn = e.target.closest('.btn-focus');
 
     if (editBtn) {
       const rec = getRecord(editBtn.dataset.id);
       if (rec) openModal(rec);
     }
 
+    if (focusBtn) beginFocus(focusBtn.dataset.id);
+
     if (delBtn) {
       const rec = getRecord(delBtn.dataset.id);
-      if (rec && confirm(`Delete "${rec.title}"? This cannot be undone.`)) {
-        deleteRecord(rec.id);
+      const msg = rec?.seriesId
+        ? `Delete the ${rec.occurrence} occurrence of "${rec.title}"? Other occurrences are kept.`
+        : `Delete "${rec?.title}"?`;
+      if (rec && confirm(msg)) {
+        transaction(`Delete "${rec.title}"`, () => deleteRecord(rec.id));
         refreshAll();
-        announce(`"${rec.title}" deleted.`);
+        announceUndoable(`"${rec.title}" deleted.`);
       }
     }
   });
 
   document.getElementById('filter-tag')?.addEventListener('change', e => {
-    const tag = e.target.value;
-    setSearch(tag ? compileRegex(`^${escapeLabel(tag)}$`) : null, false);
+    setTagFilter(e.target.value);
+    leaveView();
     renderTable();
   });
 }
 
-function escapeLabel(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+// ── Bulk actions ──────────────────────────────────────────────────────────
+
+function wireBulk() {
+  const tbody = document.getElementById('records-tbody');
+
+  // Shift+click ticks the whole range since the last ticked row
+  tbody?.addEventListener('click', e => {
+    const cb = e.target.closest('.row-select');
+    if (cb) selectRow(cb.dataset.id, cb.checked, e.shiftKey);
+  });
+  // Shift+↑/↓ on a row checkbox extends the selection to the next row
+  tbody?.addEventListener('keydown', e => {
+    const cb = e.target.closest('.row-select');
+    if (!cb || !e.shiftKey || (e.key !== 'ArrowDown' && e.key !== 'ArrowUp')) return;
+    const row  = cb.closest('tr');
+    const next = (e.key === 'ArrowDown' ? row.nextElementSibling : row.previousElementSibling)?.querySelector('.row-select');
+    if (!next) return;
+    e.preventDefault();
+    selectRow(cb.dataset.id, true);
+    selectRow(next.dataset.id, true);
+    next.focus();
+  });
+  document.getElementById('select-all')?.addEventListener('change', e => {
+    selectAllVisible(e.target.checked);
+    announce(e.target.checked ? `${getSelection().length} activities selected.` : 'Selection cleared.');
+  });
+  document.getElementById('bulk-clear')?.addEventListener('click', () => {
+    clearSelection();
+    announce('Selection cleared.');
+    document.getElementById('select-all')?.focus();
+  });
+
+  const bulkUpdate = (change, label, msg) => {
+    const n = updateRecords(getSelection(), change, label);
+    refreshAll();
+    announceUndoable(`${msg} for ${plural(n)}.`);
+  };
+
+  document.getElementById('bulk-status')?.addEventListener('change', e => {
+    const status = e.target.value;
+    e.target.value = '';
+    if (status) bulkUpdate({ status }, 'Change status', `Status set to ${status.replace('-', ' ')}`);
+  });
+  document.getElementById('bulk-tag')?.addEventListener('change', e => {
+    const tagId = e.target.value;
+    e.target.value = '';
+    if (tagId) bulkUpdate({ tagIds: [tagId] }, 'Change tag', `Tag set to ${tagLabel(tagId)}`);
+  });
+  document.getElementById('bulk-urgent')?.addEventListener('click', () => {
+    // Mixed selections become urgent; all-urgent selections are cleared
+    const urgent = !getSelection().every(id => getRecord(id)?.urgent);
+    bulkUpdate({ urgent }, 'Toggle urgent', urgent ? 'Marked urgent' : 'Urgent flag cleared');
+  });
+  document.getElementById('bulk-shift')?.addEventListener('click', () => {
+    const raw = document.getElementById('bulk-shift-days')?.value.trim();
+    const n   = Number(raw);
+    if (!/^-?\d+$/.test(raw) || n === 0 || Math.abs(n) > 365) {
+      announce('Enter a whole number of days between -365 and 365 (not 0).', true);
+      return;
+    }
+    bulkUpdate(rec => ({ dueDate: addDays(rec.dueDate, n) }), 'Shift due dates',
+      `Due dates moved ${Math.abs(n)} day${Math.abs(n) !== 1 ? 's' : ''} ${n > 0 ? 'later' : 'earlier'}`);
+  });
+  document.getElementById('bulk-delete')?.addEventListener('click', () => {
+    const ids = getSelection();
+    const occurrences = ids.filter(id => getRecord(id)?.seriesId).length;
+    const note = occurrences ? ` ${occurrences} of them ${occurrences === 1 ? 'is a single occurrence' : 'are single occurrences'}; the rest of those series is kept.` : '';
+    if (!ids.length || !confirm(`Delete ${plural(ids.length)}?${note}`)) return;
+    const n = deleteRecords(ids);
+    clearSelection();
+    refreshAll();
+    announceUndoable(`${plural(n)} deleted.`.replace(/^\w/, c => c.toUpperCase()));
+  });
+}
 
 // ── Search ────────────────────────────────────────────────────────────────
 
+let caseInsensitive = true;
+
+function doSearch() {
+  const input = document.getElementById('search-input');
+  const errEl = document.getElementById('search-error');
+  const { query, error } = compileQuery(input?.value || '', caseInsensitive ? 'i' : '');
+  if (errEl) { errEl.textContent = error || ''; errEl.hidden = !error; }
+  // Keep the last good results on screen while the query is mid-edit
+  if (error) return;
+  setSearch(query);
+  renderTable();
+}
+
+function setCaseInsensitive(on) {
+  const caseBtn = document.getElementById('btn-case');
+  caseInsensitive = on;
+  if (caseBtn) {
+    caseBtn.textContent = on ? 'Aa' : 'aA';
+    caseBtn.setAttribute('aria-pressed', String(!on));
+  }
+}
+
 function wireSearch() {
   const input   = document.getElementById('search-input');
   const caseBtn = document.getElementById('btn-case');
   const clearB  = document.getElementById('btn-clear-search');
   const errEl   = document.getElementById('search-error');
-  let   ci      = true;
-
-  function doSearch() {
-    const val = (input?.value || '').trim();
-    const re  = compileRegex(val, ci ? 'i' : '');
-    const err = val.length > 0 && !re;
-    if (errEl) errEl.hidden = !err;
-    setSearch(re, err);
-    renderTable();
-  }
 
-  input?.addEventListener('input', doSearch);
+  input?.addEventListener('input', () => { leaveView(); doSearch(); });
   caseBtn?.addEventListener('click', () => {
-    ci = !ci;
-    caseBtn.textContent = ci ? 'Aa' : 'aA';
-    caseBtn.setAttribute('aria-pressed', String(!ci));
+    setCaseInsensitive(!caseInsensitive);
+    leaveView();
     doSearch();
   });
   clearB?.addEventListener('click', () => {
     if (input) input.value = '';
-    setSearch(null, false);
+    setSearch(null);
     if (errEl) errEl.hidden = true;
+    leaveView();
     renderTable();
     announce('Search cleared.');
     input?.focus();
   });
 }
 
+// ── Saved views ───────────────────────────────────────────────────────────
+
+let activeViewId = null;
+
+function findView(id) {
+  return SMART_VIEWS.find(v => v.id === id) || (getSettings().savedViews || []).find(v => v.id === id);
+}
+
+/** Load a view's search, case flag, tag filter and sort into the planner. */
+function applyView(view) {
+  const input  = document.getElementById('search-input');
+  const tagSel = document.getElementById('filter-tag');
+  const { query, caseSensitive, tagId, sortKey, sortDir } = viewSettings(view);
+  if (input) input.value = query;
+  setCaseInsensitive(!caseSensitive);
+  if (tagSel) tagSel.value = tagId;
+  setTagFilter(tagSel ? tagSel.value : tagId);
+  setSort(sortKey, sortDir);
+  activeViewId = view.id;
+  updateSettings({ activeView: view.id }, { history: false });
+  renderViewList(activeViewId);
+  doSearch();
+}
+
+/** The planner no longer matches the selected view once anything is changed by hand. */
+function leaveView() {
+  if (!activeViewId) return;
+  activeViewId = null;
+  updateSettings({ activeView: null }, { history: false });
+  renderViewList(null);
+}
+
+function wireViews() {
+  const last = findView(getSettings().activeView);
+  if (last) applyView(last);
+  else renderViewList(null);
+
+  document.getElementById('view-list')?.addEventListener('click', e => {
+    const del = e.target.closest('[data-view-del]');
+    if (del) {
+      const view = findView(del.dataset.viewDel);
+      if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+      deleteView(view.id);
+      if (activeViewId === view.id) leaveView();
+      else renderViewList(activeViewId);
+      announceUndoable(`View "${view.name}" deleted.`);
+      return;
+    }
+
+    if (e.target.closest('#btn-save-view')) { saveCurrentView(); return; }
+
+    const chip = e.target.closest('[data-view-id]');
+    const view = chip && findView(chip.dataset.viewId);
+    if (!view) return;
+    if (view.id === activeViewId) {
+      applyView({ id: null });
+      announce('Showing all activities.');
+    } else {
+      applyView(view);
+      announce(`View "${view.name}" applied.`);
+    }
+  });
+}
+
+function saveCurrentView() {
+  const errEl = document.getElementById('search-error');
+  if (errEl && !errEl.hidden) { announce('Fix the search before saving it as a view.', true); return; }
+
+  const name = prompt('Name this view:')?.trim();
+  if (!name) return;
+  if (SMART_VIEWS.some(v => v.name.toLowerCase() === name.toLowerCase())) {
+    announce(`"${name}" is a built-in list — pick another name.`, true);
+    return;
+  }
+  const clash = findSavedView(name);
+  if (clash && !confirm(`Replace the saved view "${clash.name}"?`)) return;
+
+  const { key, dir } = getSort();
+  const view = saveView({
+    name,
+    query:         (document.getElementById('search-input')?.value || '').trim(),
+    caseSensitive: !caseInsensitive,
+    tagId:         document.getElementById('filter-tag')?.value || '',
+    sortKey:       key,
+    sortDir:       dir
+  });
+  activeViewId = view.id;
+  updateSettings({ activeView: view.id }, { history: false });
+  renderViewList(activeViewId);
+  announceUndoable(`View "${name}" saved.`);
+}
+
 // ── Calendar ──────────────────────────────────────────────────────────────
 
 function wireCalendar() {
   document.getElementById('cal-prev')?.addEventListener('click', () => { calNavigate(-1); });
   document.getElementById('cal-next')?.addEventListener('click', () => { calNavigate(1); });
   document.getElementById('cal-today')?.addEventListener('click', () => { calJumpToday(); });
+  document.getElementById('cal-views')?.addEventListener('click', e => {
+    const btn = e.target.closest('[data-cal-view]');
+    if (!btn) return;
+    if (getCalMove()) cancelCalMove();
+    setCalView(btn.dataset.calView);
+    updateSettings({ calendarView: getCalView() }, { history: false });
+    location.hash = `calendar/${getCalView()}`;
+    renderCalendar();
+    announce(`${btn.textContent} view.`);
+  });
 
-  document.getElementById('cal-grid')?.addEventListener('click', e => {
+  const grid = document.getElementById('cal-grid');
+  grid?.addEventListener('click', e => {
+    if (getCalMove()) cancelCalMove();
+    const more = e.target.closest('.cal-more[data-date]');
+    if (more) { calShowAll(more.dataset.date); return; }
     const cell = e.target.closest('.cal-cell:not(.cal-empty)');
     if (cell?.dataset.date) openDayOverlay(cell.dataset.date);
   });
 
+  // Drag a chip onto another day; the cell under it previews that day's load
+  let dragged = null;
+  grid?.addEventListener('dragstart', e => {
+    const chip = e.target.closest?.('.cal-chip');
+    if (!chip) return;
+    if (getCalMove()) cancelCalMove();
+    dragged = getRecord(chip.dataset.id);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', chip.dataset.id);
+  });
+  grid?.addEventListener('dragover', e => {
+    const cell = e.target.closest('.cal-cell[data-date]');
+    if (!dragged) return;
+    if (!cell) { clearCalDrop(); return; }
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (!cell.classList.contains('is-drop-target')) previewCalDrop(cell.dataset.date, dragged);
+  });
+  grid?.addEventListener('dragleave', e => {
+    if (dragged && !grid.contains(e.relatedTarget)) clearCalDrop();
+  });
+  grid?.addEventListener('drop', e => {
+    const cell = e.target.closest('.cal-cell[data-date]');
+    if (!dragged || !cell) return;
+    e.preventDefault();
+    const rec = dragged;
+    dragged = null;
+    moveToDay(rec, cell.dataset.date);
+  });
+  grid?.addEventListener('dragend', () => { dragged = null; clearCalDrop(); });
+
+  // Keyboard equivalent: Space picks a chip up, arrows pick the day, Enter drops, Escape cancels
+  grid?.addEventListener('keydown', e => {
+    if (!getCalMove()) {
+      const chip = e.target.closest('.cal-chip');
+      if (!chip || e.key !== ' ') return;
+      e.preventDefault();
+      const rec = getRecord(chip.dataset.id);
+      if (!rec) return;
+      const at = startCalMove(rec);
+      announce(`Picked up "${rec.title}" (${at.label}, ${at.hrs.toFixed(1)} of ${at.cap}h). Arrow keys choose a day, Enter drops, Escape cancels.`);
+      return;
+    }
+    const step = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 }[e.key];
+    if (step) {
+      e.preventDefault();
+      const at = stepCalMove(step);
+      if (!at) return;
+      grid.querySelector(`.cal-cell[data-date="${at.date}"] .cal-day`)?.focus();
+      announce(`${at.label}: ${at.hrs.toFixed(1)} of ${at.cap}h after the move${at.hrs > at.cap ? ' — over the cap' : ''}.`);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      const { rec, date } = endCalMove();
+      moveToDay(rec, date);
+      grid.querySelector(`.cal-chip[data-id="${rec.id}"]`)?.focus();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      cancelCalMove(true);
+    } else if (e.key === 'Tab') {
+      // Focus moves on as usual; only the move is dropped
+      cancelCalMove();
+    }
+  });
+
   // Day overlay edit delegation
   document.getElementById('day-overlay-list')?.addEventListener('click', e => {
     const editBtn = e.target.closest('.btn-edit');
@@ -274,16 +676,128 @@ function wireCalendar() {
   document.getElementById('day-overlay-close')?.addEventListener('click', closeDayOverlay);
 }
 
+/** Put back a chip being moved from the keyboard; `refocus` returns to it. */
+function cancelCalMove(refocus = false) {
+  const { rec } = endCalMove();
+  if (refocus) {
+    calShowDate(rec.dueDate);
+    document.querySelector(`#cal-grid .cal-chip[data-id="${rec.id}"]`)?.focus();
+  }
+  announce(`Move of "${rec.title}" cancelled.`);
+}
+
+// Reschedule a calendar chip and report the move and any limits it breaks
+function moveToDay(rec, date) {
+  clearCalDrop();
+  const overruns = moveRecord(rec.id, date);
+  if (!overruns) { renderCalendar(); return; }
+  refreshAll();
+  announceUndoable(`"${rec.title}" moved to ${date}.`);
+  if (overruns.length) announce(overruns.map(budgetWarning).join(' '), true);
+}
+
+// ── Rebalance ─────────────────────────────────────────────────────────────
+
+// ── Statistics ────────────────────────────────────────────────────────────
+
+// Longest custom range, so the daily charts stay readable
+const MAX_RANGE_DAYS = 366;
+
+function wireStats() {
+  document.getElementById('range-picker')?.addEventListener('click', e => {
+    const btn = e.target.closest('[data-range]');
+    if (!btn) return;
+    // Custom starts from the range on screen; the form then narrows it
+    if (btn.dataset.range === 'custom') setStatsRange('custom', getStatsRange());
+    else setStatsRange(btn.dataset.range);
+    renderStatsSection();
+    if (btn.dataset.range === 'custom') document.getElementById('range-from')?.focus();
+  });
+
+  document.getElementById('range-custom')?.addEventListener('submit', e => {
+    e.preventDefault();
+    const from = document.getElementById('range-from')?.value;
+    const to   = document.getElementById('range-to')?.value;
+    if (!from || !to) { announce('Choose both a start and an end date.', true); return; }
+    if (from > to)    { announce('The start date must be on or before the end date.', true); return; }
+    if (daysBetween(from, to) >= MAX_RANGE_DAYS) { announce(`Choose a range of at most ${MAX_RANGE_DAYS} days.`, true); return; }
+    setStatsRange('custom', { from, to });
+    renderStatsSection();
+    announce(`Showing ${from} to ${to}.`);
+  });
+}
+
+function wireReview() {
+  const go = date => { setReviewWeek(date); renderReview(); };
+  document.getElementById('review-prev')?.addEventListener('click', () => go(addDays(getReviewWeek(), -7)));
+  document.getElementById('review-next')?.addEventListener('click', () => go(addDays(getReviewWeek(), 7)));
+  document.getElementById('review-last')?.addEventListener('click', () => go(addDays(todayISO(), -7)));
+
+  document.getElementById('review-export-md')?.addEventListener('click', () =>
+    exportReview(computeWeeklyReview(getReviewWeek()), 'md'));
+  document.getElementById('review-export-html')?.addEventListener('click', () =>
+    exportReview(computeWeeklyReview(getReviewWeek()), 'html'));
+
+  document.getElementById('review-rollover')?.addEventListener('click', () => {
+    const r   = computeWeeklyReview(getReviewWeek());
+    const ids = [...r.slipped, ...r.carriedOver].filter(rec => !rec.seriesId).map(rec => rec.id);
+    if (!ids.length) return;
+    if (!confirm(`Move ${ids.length} unfinished activit${ids.length === 1 ? 'y' : 'ies'} to next week?`)) return;
+    const moved = rollOverUnfinished(ids, r.from);
+    afterHistoryChange();
+    announceUndoable(`Rolled over ${moved} activit${moved === 1 ? 'y' : 'ies'} to next week.`);
+  });
+}
+
+function wireRebalance() {
+  let plan = null;
+  const open = (date = null) => { plan = planRebalance(date); openRebalanceDialog(plan); };
+
+  document.getElementById('btn-rebalance')?.addEventListener('click', () => open());
+  document.getElementById('day-overlay-rebalance')?.addEventListener('click', e => {
+    const date = e.currentTarget.dataset.date;
+    closeDayOverlay();
+    open(date);
+  });
+
+  document.getElementById('rebalance-apply')?.addEventListener('click', () => {
+    if (!plan?.moves.length) return;
+    applyRebalance(plan.moves);
+    closeRebalanceDialog();
+    refreshAll();
+    announceUndoable(`Rebalanced: ${plan.moves.length} activit${plan.moves.length === 1 ? 'y' : 'ies'} moved.`);
+    plan = null;
+  });
+  ['rebalance-cancel', 'rebalance-close'].forEach(id =>
+    document.getElementById(id)?.addEventListener('click', closeRebalanceDialog));
+}
+
 // ── Settings ──────────────────────────────────────────────────────────────
 
 function wireSettings() {
   document.getElementById('btn-save-settings')?.addEventListener('click', () => {
     const cap = parseInt(document.getElementById('s-daily-cap')?.value, 10);
     if (!cap || cap < 1 || cap > 24) { announce('Daily cap must be between 1 and 24 hours.', true); return; }
-    updateSettings({ dailyCap: cap });
+    const weekdayCaps = [null, null, null, null, null, null, null];
+    for (const el of document.querySelectorAll('.s-weekday-cap')) {
+      if (el.value === '') continue;
+      const h = Number(el.value);
+      if (!(h >= 1 && h <= 24)) { announce('Weekday caps must be between 1 and 24 hours, or left blank.', true); el.focus(); return; }
+      weekdayCaps[el.dataset.day] = h;
+    }
+    if (!updateCaps(cap, weekdayCaps)) { announce('The caps are unchanged.'); return; }
     refreshAll();
     renderSettings();
-    announce('Settings saved.');
+    announceUndoable('Settings saved.');
+  });
+
+  document.getElementById('s-overdue-policy')?.addEventListener('change', e => {
+    const policy = e.target.value;
+    if (!OVERDUE_POLICIES.includes(policy)) return;
+    transaction('Change overdue policy', () => updateSettings({ overduePolicy: policy }));
+    announceUndoable(policy === 'leave'
+      ? 'Overdue activities will stay where they are.'
+      : 'Overdue activities will be rolled over each time the app opens.');
   });
 
   document.getElementById('btn-add-tag')?.addEventListener('click', () => {
@@ -293,37 +807,132 @@ function wireSettings() {
     const color = colorInput?.value || '#64748b';
 
     if (!name) { announce('Please enter a tag name.', true); return; }
+    const invalid = validateTag(name);
+    if (invalid) { announce(invalid, true); return; }
+    if (findTagByLabel(name)) { announce('That tag already exists.', true); return; }
+
+    addTag(name, color, document.getElementById('new-tag-parent')?.value || null);
+    if (nameInput) nameInput.value = '';
+    afterHistoryChange();
+    announceUndoable(`Tag "${name}" added.`);
+  });
 
-    const s    = getSettings();
-    const tags = s.tags || [];
-    if (tags.find(t => t.label.toLowerCase() === name.toLowerCase())) {
-      announce('That tag already exists.', true); return;
+  const tagList = document.getElementById('tag-list');
+  tagList?.addEventListener('change', e => {
+    const id  = e.target.dataset?.id;
+    const tag = getTags().find(t => t.id === id);
+    if (!tag) return;
+
+    if (e.target.matches('.tag-label')) {
+      const name  = e.target.value.trim();
+      const taken = findTagByLabel(name);
+      const error = validateTag(name) || (taken && taken.id !== id ? 'That tag already exists.' : null);
+      if (error) { announce(error, true); e.target.value = tag.label; return; }
+      if (name === tag.label) return;
+      updateTag(id, { label: name });
+      afterHistoryChange();
+      announceUndoable(`Tag "${tag.label}" renamed to "${name}" on ${plural(tagUsage(id))}.`);
+    } else if (e.target.matches('.tag-parent')) {
+      const parentId = e.target.value || null;
+      if (!updateTag(id, { parentId })) { e.target.value = tag.parentId || ''; return; }
+      afterHistoryChange();
+      announceUndoable(parentId ? `"${tag.label}" nested under "${tagLabel(parentId)}".` : `"${tag.label}" moved to the top level.`);
+    } else if (e.target.matches('.tag-color')) {
+      updateTag(id, { color: e.target.value });
+      afterHistoryChange();
+      announceUndoable(`Tag "${tag.label}" recoloured.`);
+    } else if (e.target.matches('.tag-weight')) {
+      const weight = Number(e.target.value);
+      if (e.target.value === '' || !(weight >= 0 && weight <= 5)) {
+        announce('Tag weight must be between 0 and 5.', true);
+        e.target.value = tag.weight ?? 1;
+        return;
+      }
+      updateTag(id, { weight });
+      refreshAll();
+      announceUndoable(`"${tag.label}" weight set to ${weight}.`);
+    } else if (e.target.matches('.tag-budget')) {
+      const key    = e.target.dataset.key;
+      const period = key === 'dailyBudget' ? 'daily' : 'weekly';
+      const hours  = e.target.value === '' ? null : Number(e.target.value);
+      if (hours !== null && !(hours > 0 && hours <= Number(e.target.max))) {
+        announce(`A ${period} budget must be between 0 and ${e.target.max} hours, or left blank.`, true);
+        e.target.value = tag[key] ?? '';
+        return;
+      }
+      updateTag(id, { [key]: hours });
+      announceUndoable(hours === null ? `"${tag.label}" has no ${period} budget now.` : `"${tag.label}" ${period} budget set to ${hours}h.`);
     }
+  });
 
-    const newTag = {
-      id:        name.toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, ''),
-      label:     name,
-      color:     color,
-      protected: false
-    };
+  tagList?.addEventListener('click', e => {
+    const del   = e.target.closest('.btn-del-tag');
+    const merge = e.target.closest('.btn-merge-tag');
+    if (merge) { setTagAction(merge.getAttribute('aria-expanded') === 'true' ? null : merge.dataset.id, 'merge'); return; }
+    if (e.target.closest('#tag-action-cancel')) { setTagAction(null); return; }
 
-    updateSettings({ tags: [...tags, newTag] });
-    if (nameInput) nameInput.value = '';
-    refreshTagFilter();
-    renderSettings();
-    announce(`Tag "${name}" added.`);
+    if (del) {
+      const tag = getTags().find(t => t.id === del.dataset.id);
+      if (!tag) return;
+      // A tag still in use can only go once its activities have somewhere to move to
+      if (tagUsage(tag.id)) { setTagAction(tag.id, 'delete'); return; }
+      deleteTag(tag.id);
+      afterHistoryChange();
+      announceUndoable(`Tag "${tag.label}" removed.`);
+      return;
+    }
+
+    const apply = e.target.closest('#tag-action-apply');
+    if (!apply) return;
+    const from = getTags().find(t => t.id === apply.dataset.id);
+    const into = getTags().find(t => t.id === document.getElementById('tag-action-target')?.value);
+    if (!from || !into) return;
+    const moved = mergeTags(from.id, into.id);
+    setTagAction(null);
+    afterHistoryChange();
+    announceUndoable(`Tag "${from.label}" merged into "${into.label}" — ${plural(moved)} moved.`);
   });
 
-  document.getElementById('tag-list')?.addEventListener('click', e => {
-    const btn = e.target.closest('.btn-del-tag');
-    if (!btn) return;
-    const id   = btn.dataset.id;
-    const s    = getSettings();
-    const tags = (s.tags || []).filter(t => t.id !== id);
-    updateSettings({ tags });
-    refreshTagFilter();
+  wireSnapshots();
+}
+
+function wireSnapshots() {
+  document.getElementById('s-snapshot-days')?.addEventListener('change', e => {
+    const days = Number(e.target.value);
+    if (!Number.isInteger(days) || days < 1 || days > 90) {
+      announce('Keep between 1 and 90 days of snapshots.', true);
+      e.target.value = getSettings().snapshotRetention;
+      return;
+    }
+    // A preference for this device, so not an undo step
+    updateSettings({ snapshotRetention: days }, { history: false });
+    closeSnapshotPreview();
+    announce(`Keeping ${days} day${days === 1 ? '' : 's'} of snapshots.`);
+  });
+
+  document.getElementById('snapshot-list')?.addEventListener('click', e => {
+    const btn  = e.target.closest('.btn-preview-snapshot');
+    const snap = btn && getSnapshots().find(s => s.id === btn.dataset.id);
+    if (!snap) return;
+    try {
+      openSnapshotPreview(snap, diffSnapshot(snap.id));
+    } catch (err) {
+      announce(`That snapshot cannot be read: ${err.message}`, true);
+    }
+  });
+
+  document.getElementById('snapshot-cancel')?.addEventListener('click', () => {
+    closeSnapshotPreview();
+    document.querySelector('#snapshot-list .btn-preview-snapshot')?.focus();
+  });
+
+  document.getElementById('snapshot-restore')?.addEventListener('click', e => {
+    const snap = getSnapshots().find(s => s.id === e.target.dataset.id);
+    if (!snap || !restoreSnapshot(snap.id)) return;
+    closeSnapshotPreview();
+    afterHistoryChange();
     renderSettings();
-    announce('Tag removed.');
+    announceUndoable(`Restored your data from ${snap.date}.`);
   });
 }
 
@@ -331,10 +940,13 @@ function wireSettings() {
 
 function wireImportExport() {
   document.getElementById('btn-export')?.addEventListener('click', () => {
-    exportJSON(getRecords());
+    exportJSON(getRecords(), getTags());
+    // The exported copy is the common base for the next merge import
+    markSynced();
     announce('Exported campusflow.json.');
   });
 
+  let merging = null;
   const importInput = document.getElementById('import-file');
   document.getElementById('btn-import')?.addEventListener('click', () => importInput?.click());
   importInput?.addEventListener('change', () => {
@@ -342,24 +954,314 @@ function wireImportExport() {
     if (!file) return;
     importJSON(
       file,
-      recs => {
-        if (!confirm(`Replace all data with ${recs.length} imported records?`)) return;
-        replaceAllRecords(recs);
-        refreshAll();
-        renderSettings();
-        announce(`${recs.length} records imported.`);
-      },
+      (recs, tags) => { merging = { recs, tags, plan: planMerge(recs, tags) }; openMergeDialog(merging.plan); },
       err => announce(`Import failed: ${err}`, true)
     );
     importInput.value = '';
   });
+
+  document.getElementById('merge-apply')?.addEventListener('click', () => {
+    if (!merging) return;
+    const { added, updated, skipped } = applyMerge(merging.plan, readMergeChoices());
+    merging = null;
+    closeMergeDialog();
+    refreshAll();
+    refreshTagFilter();
+    renderSettings();
+    announceUndoable(`Merged: ${added} added, ${updated} updated, ${skipped} skipped.`);
+  });
+  document.getElementById('merge-replace')?.addEventListener('click', () => {
+    if (!merging) return;
+    const { recs, tags } = merging;
+    if (!confirm(`Replace all data with ${recs.length} imported records? Activities only on this device will be removed.`)) return;
+    transaction(`Import ${recs.length} records`, () => replaceAllRecords(recs, tags));
+    markSynced();
+    merging = null;
+    closeMergeDialog();
+    refreshAll();
+    refreshTagFilter();
+    renderSettings();
+    announceUndoable(`${recs.length} records imported.`);
+  });
+  document.getElementById('merge-bulk')?.addEventListener('click', e => {
+    const side = e.target.closest('[data-merge-all]')?.dataset.mergeAll;
+    if (side) document.querySelectorAll(`#merge-conflicts input[value="${side}"]`).forEach(r => { r.checked = true; });
+  });
+  ['merge-cancel', 'merge-close'].forEach(id =>
+    document.getElementById(id)?.addEventListener('click', () => { merging = null; closeMergeDialog(); }));
+
+  document.getElementById('btn-export-csv')?.addEventListener('click', () => {
+    exportCSV(withTagLabels(getRecords()));
+    announce('Exported campusflow.csv.');
+  });
+  document.getElementById('btn-export-ics')?.addEventListener('click', () => {
+    exportICS(withTagLabels(getRecords()));
+    announce('Exported campusflow.ics.');
+  });
+
+  // CSV and .ics imports add to existing data after a preview
+  let pending = null;
+
+  const preview = () => {
+    const result = pending.rows ? mapCSVRows(pending.rows, pending.mapping) : pending.result;
+    const known  = new Map(getTags().map(t => [t.label.toLowerCase(), t.label]));
+    const newTags = [];
+    const canonical = labels => labels.map(label => {
+      const key = label.toLowerCase();
+      if (!known.has(key)) { known.set(key, label); newTags.push(label); }
+      return known.get(key);
+    });
+    pending.records = result.records.map(r => ({ ...r, tags: canonical(r.tags) }));
+    pending.newTags = newTags;
+    openImportDialog({
+      title:    pending.title,
+      headers:  pending.headers,
+      fields:   CSV_FIELDS,
+      mapping:  pending.mapping,
+      records:  pending.records,
+      errors:   result.errors,
+      rowLabel: pending.rows ? 'Line' : 'Event',
+      newTags
+    });
+  };
+
+  const csvInput = document.getElementById('import-csv-file');
+  document.getElementById('btn-import-csv')?.addEventListener('click', () => csvInput?.click());
+  csvInput?.addEventListener('change', () => {
+    const file = csvInput.files?.[0];
+    if (!file) return;
+    importCSV(file, ({ headers, rows }) => {
+      pending = { title: `Import ${file.name}`, headers, rows, mapping: guessCSVMapping(headers) };
+      preview();
+    }, err => announce(`Import failed: ${err}`, true));
+    csvInput.value = '';
+  });
+
+  const icsInput = document.getElementById('import-ics-file');
+  document.getElementById('btn-import-ics')?.addEventListener('click', () => icsInput?.click());
+  icsInput?.addEventListener('change', () => {
+    const file = icsInput.files?.[0];
+    if (!file) return;
+    importICS(file, result => {
+      pending = { title: `Import ${file.name}`, result };
+      preview();
+    }, err => announce(`Import failed: ${err}`, true));
+    icsInput.value = '';
+  });
+
+  document.getElementById('import-mapping-grid')?.addEventListener('change', e => {
+    const sel = e.target.closest('select[data-field]');
+    if (!sel || !pending?.rows) return;
+    if (sel.value === '') delete pending.mapping[sel.dataset.field];
+    else pending.mapping[sel.dataset.field] = Number(sel.value);
+    preview();
+  });
+
+  document.getElementById('import-apply')?.addEventListener('click', () => {
+    if (!pending?.records.length) return;
+    const { records, newTags } = pending;
+    transaction(`Import ${records.length} activities`, () => {
+      newTags.forEach(label => addTag(label));
+      records.forEach(r => addRecord(withTagIds(r)));
+    });
+    pending = null;
+    closeImportDialog();
+    refreshAll();
+    refreshTagFilter();
+    renderSettings();
+    announceUndoable(`${records.length} activit${records.length === 1 ? 'y' : 'ies'} imported.`);
+  });
+  ['import-cancel', 'import-close'].forEach(id =>
+    document.getElementById(id)?.addEventListener('click', () => { pending = null; closeImportDialog(); }));
+}
+
+// ── Undo / Redo ───────────────────────────────────────────────────────────
+
+function wireHistory() {
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // Leave native text undo alone, and don't change data behind an open dialog
+    const t = e.target;
+    if (t.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('dialog[open]')) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) doRedo(); else doUndo();
+  });
+}
+
+// ── Focus timer ───────────────────────────────────────────────────────────
+
+let focusTicker = null;
+
+function wireFocus() {
+  document.getElementById('focus-stop')?.addEventListener('click', () => {
+    const f = getFocus();
+    if (!f) return;
+    const mins = stopFocus();
+    tickFocus();
+    if (mins) {
+      refreshAll();
+      announceUndoable(`Logged ${mins} min on "${f.title}".`);
+    } else {
+      announce(f.phase === 'break' ? 'Break ended.' : 'Focus timer stopped before a full minute; nothing logged.');
+    }
+  });
+
+  document.getElementById('focus-discard')?.addEventListener('click', () => {
+    stopFocus(false);
+    tickFocus();
+    announce('Focus round discarded; no time logged.');
+  });
+
+  // A round left running before a reload picks up where it was
+  tickFocus();
+}
+
+function beginFocus(id) {
+  const running = getFocus();
+  if (running?.phase === 'focus' &&
+      !confirm(`A focus round on "${running.title}" is running. Stop it, log the time so far and start a new one?`)) return;
+  if (running) stopFocus();
+  const f = startFocus(id);
+  if (!f) return;
+  refreshAll();
+  tickFocus();
+  announce(`Focus timer started: ${FOCUS_MINUTES} minutes on "${f.title}".`);
+}
+
+/** Once a second while a round runs: advance it when time is up, redraw the countdown. */
+function tickFocus() {
+  const f    = getFocus();
+  const done = advanceFocus();
+  if (done === 'focus-done') {
+    refreshAll();
+    announce(`Focus round done: ${FOCUS_MINUTES} min logged on "${f.title}". Take a ${BREAK_MINUTES}-minute break.`, true);
+  } else if (done === 'break-done') {
+    announce('Break over.', true, { label: 'Start another round', onClick: () => beginFocus(f.id) });
+  }
+  renderFocusBar();
+  const running = !!getFocus();
+  if (running && !focusTicker) focusTicker = setInterval(tickFocus, 1000);
+  if (!running && focusTicker) { clearInterval(focusTicker); focusTicker = null; }
+}
+
+// ── Other tabs ────────────────────────────────────────────────────────────
+
+function wireTabSync() {
+  onRemoteChange(message => {
+    const { changed, conflicts } = applyRemoteChange(message);
+    if (!changed && !conflicts.length) return;
+    afterHistoryChange();
+    if (conflicts.length === 1) {
+      const id = conflicts[0].id;
+      announce(`"${conflicts[0].title}" was also changed in another tab; your newer edit was kept.`, false,
+        { label: 'Review', onClick: () => { const rec = getRecord(id); if (rec) openModal(rec); } });
+    } else if (conflicts.length) {
+      announce(`${conflicts.length} activities were also changed in another tab; your newer edits were kept.`, false,
+        { label: 'OK', onClick: () => {} });
+    }
+  });
+}
+
+function doUndo() {
+  const label = undo();
+  if (!label) { announce('Nothing to undo.'); return; }
+  afterHistoryChange();
+  announce(`Undone: ${label}.`, false, { label: 'Redo', onClick: doRedo });
+}
+
+function doRedo() {
+  const label = redo();
+  if (!label) { announce('Nothing to redo.'); return; }
+  afterHistoryChange();
+  announce(`Redone: ${label}.`, false, { label: 'Undo', onClick: doUndo });
+}
+
+function afterHistoryChange() {
+  refreshAll();
+  refreshTagFilter();
+  if (activeViewId && !findView(activeViewId)) activeViewId = null;
+  renderViewList(activeViewId);
+  if (!document.getElementById('settings')?.hidden) renderSettings();
+  if (!document.getElementById('stats')?.hidden) renderStatsSection();
+  if (!document.getElementById('review')?.hidden) renderReview();
+}
+
+function announceUndoable(msg) {
+  announce(msg, false, { label: 'Undo', onClick: doUndo });
 }
 
 // ── Helpers ───────────────────────────────────────────────────────────────
 
+function plural(n) { return `${n} activit${n === 1 ? 'y' : 'ies'}`; }
+
+// One budgetOverruns entry as a sentence
+function budgetWarning({ kind, label, hrs, limit, more }) {
+  const h    = `${Math.round(hrs * 10) / 10}h`;
+  const also = more ? ` (and on ${more} more of its dates)` : '';
+  if (kind === 'cap') return `${label} now has ${h} planned, over its ${limit}h cap${also}.`;
+  return `${label} now has ${h} ${kind === 'day' ? 'that day' : 'that week'}, over its ${limit}h ${kind === 'day' ? 'daily' : 'weekly'} budget${also}.`;
+}
+
+// CSV and .ics files name tags rather than giving their ids
+function withTagLabels(recs) {
+  const labels = o => o.tagIds ? { ...o, tags: o.tagIds.map(tagLabel) } : o;
+  return recs.map(r => ({
+    ...labels(r),
+    recurrence: r.recurrence && { ...r.recurrence, overrides: Object.fromEntries(
+      Object.entries(r.recurrence.overrides || {}).map(([date, o]) => [date, labels(o)])) }
+  }));
+}
+
+// …and back again, once every label has a tag
+function withTagIds(rec) {
+  const ids = ({ tags, ...o }) => tags ? { ...o, tagIds: tags.map(label => findTagByLabel(label).id) } : o;
+  return {
+    ...ids(rec),
+    recurrence: rec.recurrence && { ...rec.recurrence, overrides: Object.fromEntries(
+      Object.entries(rec.recurrence.overrides || {}).map(([date, o]) => [date, ids(o)])) }
+  };
+}
+
+// Build a repeat rule from the modal's Repeat inputs (null = does not repeat).
+function readRecurrence() {
+  const freq = document.getElementById('f-repeat')?.value;
+  if (!freq) return null;
+  const count = document.getElementById('f-count')?.value.trim();
+  return {
+    freq:     freq === 'interval' ? 'daily' : freq,
+    interval: freq === 'interval' ? document.getElementById('f-interval')?.value.trim() : 1,
+    weekdays: freq === 'weekly'
+                ? [...document.querySelectorAll('#repeat-weekdays input:checked')].map(cb => Number(cb.value))
+                : [],
+    until:    document.getElementById('f-until')?.value || null,
+    count:    count ? count : null
+  };
+}
+
+// Prerequisites belong to the whole series when an occurrence is edited.
+function dependencyError(editId, dependsOn) {
+  const id   = editId ? getRecord(editId)?.seriesId || editId : null;
+  const loop = findDependencyCycle(id, dependsOn);
+  return loop ? `That would make a loop: ${loop.map(r => `"${r.title}"`).join(' → ')}.` : null;
+}
+
+// Checklist rows from the modal; rows left completely blank are ignored.
+function readSubtasks() {
+  return [...document.querySelectorAll('#subtask-list .subtask-row')]
+    .map(li => ({
+      id:       li.dataset.id || undefined,
+      title:    li.querySelector('.subtask-title').value.trim(),
+      duration: li.querySelector('.subtask-hrs').value.trim(),
+      done:     li.querySelector('.subtask-done').checked
+    }))
+    .filter(st => st.title || st.duration);
+}
+
 function refreshTagFilter() {
-  const tags = getSettings().tags || [];
-  populateTagFilter(tags);
+  populateTagFilter(getTags());
 }
 
 function refreshAll() {
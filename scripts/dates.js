@@ -0,0 +1,100 @@
+/**
+ * dates.js — Calendar-date and time-of-day helpers.
+ * Dates are 'YYYY-MM-DD' strings; arithmetic runs in UTC so adding days
+ * never drifts across daylight-saving changes.
+ */
+
+const DAY_MS = 86400000;
+
+/** @returns {string} today as YYYY-MM-DD (same convention as the rest of the app) */
+export function todayISO() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Date} midnight UTC of that day
+ */
+export function parseISODate(dateStr) {
+  const [y, m, d] = String(dateStr).split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+/**
+ * @param {Date} d
+ * @returns {string} YYYY-MM-DD of the UTC day
+ */
+export function toISODate(d) {
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * @param {string} dateStr
+ * @param {number} n - days to add (negative to go back)
+ * @returns {string}
+ */
+export function addDays(dateStr, n) {
+  return toISODate(new Date(parseISODate(dateStr).getTime() + n * DAY_MS));
+}
+
+/**
+ * Whole days from `a` to `b` (positive when b is later).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function daysBetween(a, b) {
+  return Math.round((parseISODate(b) - parseISODate(a)) / DAY_MS);
+}
+
+/**
+ * @param {string} dateStr
+ * @returns {number} 0 = Sunday … 6 = Saturday
+ */
+export function weekdayOf(dateStr) {
+  return parseISODate(dateStr).getUTCDay();
+}
+
+/** @returns {string} the Monday on or before `dateStr` */
+export function startOfWeek(dateStr) {
+  return addDays(dateStr, -((weekdayOf(dateStr) + 6) % 7));
+}
+
+/**
+ * Date span for a named range. A semester is a half year: Jan–Jun or Jul–Dec.
+ * @param {'week'|'month'|'semester'} preset
+ * @param {string} [today]
+ * @returns {{from:string, to:string}} inclusive
+ */
+export function rangePreset(preset, today = todayISO()) {
+  const [y, m] = today.split('-').map(Number);
+  const monthEnd = (year, month) => toISODate(new Date(Date.UTC(year, month, 0)));   // month is 1-based
+  const pad = n => String(n).padStart(2, '0');
+  if (preset === 'week') {
+    const from = startOfWeek(today);
+    return { from, to: addDays(from, 6) };
+  }
+  if (preset === 'month') return { from: `${y}-${pad(m)}-01`, to: monthEnd(y, m) };
+  if (preset === 'semester') {
+    return m <= 6 ? { from: `${y}-01-01`, to: `${y}-06-30` } : { from: `${y}-07-01`, to: `${y}-12-31` };
+  }
+  throw new Error(`Unknown range "${preset}".`);
+}
+
+/**
+ * @param {string} hhmm - 'HH:MM'
+ * @returns {number} minutes after midnight
+ */
+export function timeToMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * @param {number} mins - minutes after midnight (clamped to the day)
+ * @returns {string} 'HH:MM'
+ */
+export function minutesToTime(mins) {
+  const m = Math.max(0, Math.min(24 * 60, Math.round(mins)));
+  return `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`;
+}
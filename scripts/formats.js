@@ -0,0 +1,480 @@
+/**
+ * formats.js — CSV and iCalendar (.ics) conversion for import/export, plus
+ * the weekly review report. Pure text ↔ record functions; reading and
+ * downloading files is left to storage.js. Every imported row is checked
+ * with the validators.js rules.
+ */
+
+import { validateTitle, validateDate, validateDuration, validateTag, validateTime,
+         PATTERNS } from './validators.js';
+import { timeToMinutes } from './dates.js';
+import { escapeHtml } from './search.js';
+
+const STATUSES = ['not-started', 'in-progress', 'completed', 'canceled'];
+
+// ── CSV ───────────────────────────────────────────────────────────
+
+/** Record fields a CSV column can be mapped to, in export order. */
+export const CSV_FIELDS = [
+  { key: 'title',     label: 'Title',      required: true  },
+  { key: 'dueDate',   label: 'Due date',   required: true  },
+  { key: 'startTime', label: 'Start time', required: false },
+  { key: 'endTime',   label: 'End time',   required: false },
+  { key: 'duration',  label: 'Duration',   required: false },
+  { key: 'tag',       label: 'Tag',        required: false },
+  { key: 'status',    label: 'Status',     required: false },
+  { key: 'urgent',    label: 'Urgent',     required: false },
+  { key: 'notes',     label: 'Notes',      required: false }
+];
+
+// Header spellings recognised when guessing the column mapping
+const CSV_ALIASES = {
+  title:     ['title', 'name', 'summary', 'subject', 'course', 'activity', 'module'],
+  dueDate:   ['duedate', 'due', 'date', 'day'],
+  startTime: ['starttime', 'start', 'time', 'from'],
+  endTime:   ['endtime', 'end', 'finish', 'until', 'to'],
+  duration:  ['duration', 'hours', 'hrs', 'dur', 'length'],
+  tag:       ['tag', 'category', 'type'],
+  status:    ['status', 'state'],
+  urgent:    ['urgent', 'important', 'flag'],
+  notes:     ['notes', 'note', 'description', 'details', 'location', 'room']
+};
+
+/**
+ * @param {object[]} records - raw records with their tag labels as `tags`
+ * @returns {string} RFC 4180 CSV with a header row; several tags share the cell, split by "; "
+ */
+export function toCSV(records) {
+  const cols = ['title', 'dueDate', 'startTime', 'duration', 'tag', 'status', 'urgent', 'notes'];
+  const cell = v => {
+    const s = String(v ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const value = (r, c) => c === 'urgent' ? (r.urgent ? 'yes' : 'no') : c === 'tag' ? r.tags.join('; ') : r[c];
+  const rows = records.map(r => cols.map(c => cell(value(r, c))).join(','));
+  return [cols.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells, doubled quotes,
+ * CRLF and newlines inside quotes. The delimiter (`,` `;` or tab) is taken
+ * from the header line.
+ * @param {string} text
+ * @returns {string[][]} blank lines are dropped
+ */
+export function parseCSV(text) {
+  const src   = String(text).replace(/^\uFEFF/, '');
+  const first = src.split(/\r?\n/, 1)[0];
+  const delim = [',', ';', '\t'].reduce((best, d) =>
+    first.split(d).length > first.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') quoted = true;
+    else if (ch === delim) { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (quoted) throw new Error('A quoted cell is never closed.');
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+/**
+ * Best-guess mapping from record field to column index.
+ * @param {string[]} headers
+ * @returns {Object<string, number>} fields with no matching header are omitted
+ */
+export function guessCSVMapping(headers) {
+  const norm = headers.map(h => String(h).toLowerCase().replace(/[^a-z]/g, ''));
+  const mapping = {};
+  const used = new Set();
+  for (const { key } of CSV_FIELDS) {
+    const idx = CSV_ALIASES[key].map(a => norm.indexOf(a)).find(i => i !== -1 && !used.has(i));
+    if (idx !== undefined) { mapping[key] = idx; used.add(idx); }
+  }
+  return mapping;
+}
+
+/**
+ * Turn data rows into records using a column mapping.
+ * When duration is not mapped it is worked out from start and end time.
+ * @param {string[][]} rows - data rows (header excluded)
+ * @param {Object<string, number>} mapping - field → column index
+ * @param {number} [firstLine=2] - file line number of rows[0], for messages
+ * @returns {{records: object[], errors: {row:number, message:string}[]}}
+ */
+export function mapCSVRows(rows, mapping, firstLine = 2) {
+  const records = [], errors = [];
+  rows.forEach((cells, i) => {
+    const get = key => mapping[key] != null ? String(cells[mapping[key]] ?? '').trim() : '';
+    let duration = get('duration');
+    const start = get('startTime'), end = get('endTime');
+    if (!duration && PATTERNS.time.test(start) && PATTERNS.time.test(end)) {
+      duration = String(Math.round((timeToMinutes(end) - timeToMinutes(start)) / 60 * 100) / 100);
+    }
+    const backwards = !get('duration') && PATTERNS.time.test(start) && PATTERNS.time.test(end) && end <= start;
+    const status = parseStatus(get('status'));
+    const data = {
+      title:     get('title'),
+      dueDate:   get('dueDate'),
+      startTime: start,
+      duration,
+      tags:      splitTags(get('tag')),
+      status:    status || 'not-started',
+      urgent:    /^(y|yes|true|1|x|urgent)$/i.test(get('urgent')),
+      notes:     get('notes')
+    };
+    const error = status === null ? `Unknown status "${get('status')}".`
+                : backwards        ? 'End time must be after start time.'
+                : checkRow(data);
+    if (error) errors.push({ row: firstLine + i, message: error });
+    else records.push({ ...data, duration: parseFloat(duration) });
+  });
+  return { records, errors };
+}
+
+// ── iCalendar ─────────────────────────────────────────────────────
+
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * One VEVENT per record. Activities without a start time become all-day
+ * events and keep their hours in X-CAMPUSFLOW-HOURS. Series carry RRULE and
+ * EXDATE; edited occurrences are written as RECURRENCE-ID events. Tags are
+ * written as CATEGORIES.
+ * @param {object[]} records - raw records with their tag labels as `tags`
+ *        (overrides too, where they change them)
+ * @returns {string}
+ */
+export function toICS(records) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Campus Flow//Planner//EN', 'CALSCALE:GREGORIAN'];
+  for (const r of records) {
+    lines.push(...eventLines(r, stamp));
+    const overrides = r.recurrence?.overrides || {};
+    for (const [date, o] of Object.entries(overrides)) {
+      // RECURRENCE-ID names the occurrence as the series would have it, whatever the edit changed
+      lines.push(...eventLines({ ...r, ...o, recurrence: null, dueDate: o.dueDate || date }, stamp, { date, time: r.startTime }));
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read VEVENTs back into records.
+ * @param {string} text
+ * @returns {{records: object[], errors: {row:number, message:string}[]}} row is the event's position
+ */
+export function parseICS(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  if (!lines.some(l => l.trim() === 'BEGIN:VCALENDAR')) throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR).');
+
+  const events = [];
+  let current = null, nested = 0;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { current = {}; nested = 0; continue; }
+    if (!current) continue;
+    if (line === 'END:VEVENT') { events.push(current); current = null; continue; }
+    if (line.startsWith('BEGIN:')) { nested++; continue; }
+    if (line.startsWith('END:'))   { nested--; continue; }
+    if (nested) continue;                       // VALARM and friends
+    const prop = parseProperty(line);
+    if (!prop) continue;
+    if (prop.name === 'EXDATE') (current.EXDATE ||= []).push(...prop.value.split(','));
+    else current[prop.name] = prop;
+  }
+
+  const records = [], errors = [], series = new Map(), exceptions = [];
+  events.forEach((ev, i) => {
+    const row = i + 1;
+    try {
+      const data = eventToRecord(ev);
+      const error = checkRow(data);
+      if (error) throw new Error(error);
+      if (ev['RECURRENCE-ID']) { exceptions.push({ row, uid: ev.UID?.value, date: icsDate(ev['RECURRENCE-ID'].value).date, data }); return; }
+      records.push(data);
+      if (data.recurrence && ev.UID) series.set(ev.UID.value, data);
+    } catch (e) {
+      errors.push({ row, message: `${e.message}${ev.SUMMARY ? ` ("${unescapeText(ev.SUMMARY.value)}")` : ''}` });
+    }
+  });
+
+  // Edited occurrences become overrides on their series
+  for (const { row, uid, date, data } of exceptions) {
+    const parent = series.get(uid);
+    if (!parent) { errors.push({ row, message: 'Edited occurrence of a series that is not in the file.' }); continue; }
+    const override = {};
+    for (const k of ['title', 'dueDate', 'startTime', 'duration', 'tags', 'status', 'urgent', 'notes']) {
+      const base = k === 'dueDate' ? date : parent[k];
+      if (JSON.stringify(data[k]) !== JSON.stringify(base)) override[k] = data[k];
+    }
+    parent.recurrence.overrides[date] = override;
+  }
+  return { records, errors };
+}
+
+// ── Weekly review ─────────────────────────────────────────────────
+
+/**
+ * @param {object} review - from computeWeeklyReview
+ * @returns {string} the report as Markdown
+ */
+export function reviewToMarkdown(review) {
+  // Titles and tags are the user's own text: "*", "_", "[" and the like stay literal, "|" stays in its cell
+  const r    = reviewParts(review, s => String(s).replace(/[\\`*_[\]#<>|~]/g, '\\$&'));
+  const out  = [`# ${r.title}`, '', ...r.summary.map(line => `- ${line}`), '', '## By tag', ''];
+  if (r.tags.length) {
+    out.push('| Tag | Done | Planned | Completed |', '| --- | ---: | ---: | ---: |',
+      ...r.tags.map(t => `| ${t.join(' | ')} |`));
+  } else out.push('_Nothing planned._');
+  r.lists.forEach(({ heading, items }) => {
+    out.push('', `## ${heading}`, '', ...(items.length ? items.map(i => `- ${i}`) : ['_None._']));
+  });
+  return out.join('\n') + '\n';
+}
+
+/**
+ * @param {object} review - from computeWeeklyReview
+ * @returns {string} a standalone HTML page laid out for printing
+ */
+export function reviewToHTML(review) {
+  const r = reviewParts(review);
+  const e = escapeHtml;
+  const list = items => items.length ? `<ul>${items.map(i => `<li>${e(i)}</li>`).join('')}</ul>` : '<p><em>None.</em></p>';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${e(r.title)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; color: #0f172a; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: .5rem; }
+  h2 { font-size: 1.1rem; margin: 1.5rem 0 .5rem; border-bottom: 1px solid #cbd5e1; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: .3rem .5rem; border-bottom: 1px solid #e2e8f0; }
+  td:not(:first-child), th:not(:first-child) { text-align: right; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${e(r.title)}</h1>
+${list(r.summary)}
+<h2>By tag</h2>
+${r.tags.length ? `<table>
+<thead><tr><th scope="col">Tag</th><th scope="col">Done</th><th scope="col">Planned</th><th scope="col">Completed</th></tr></thead>
+<tbody>${r.tags.map(([tag, ...rest]) => `<tr><th scope="row">${e(tag)}</th>${rest.map(c => `<td>${e(c)}</td>`).join('')}</tr>`).join('')}</tbody>
+</table>` : '<p><em>Nothing planned.</em></p>'}
+${r.lists.map(({ heading, items }) => `<h2>${e(heading)}</h2>\n${list(items)}`).join('\n')}
+</body>
+</html>
+`;
+}
+
+// ── Private helpers ───────────────────────────────────────────────
+
+function checkRow(d) {
+  return validateTitle(d.title) || validateDate(d.dueDate) || validateTime(d.startTime) ||
+         validateDuration(d.duration) || d.tags.map(validateTag).find(Boolean) || null;
+}
+
+/** @returns {string|null|''} canonical status, '' when blank, null when unknown */
+function parseStatus(v) {
+  if (!v) return '';
+  const s = v.toLowerCase().replace(/[\s_]+/g, '-');
+  if (STATUSES.includes(s)) return s;
+  if (['done', 'complete', 'finished'].includes(s)) return 'completed';
+  if (['todo', 'to-do', 'open', 'pending'].includes(s)) return 'not-started';
+  if (['cancelled', 'dropped'].includes(s)) return 'canceled';
+  if (['started', 'doing', 'in-progress', 'inprogress'].includes(s)) return 'in-progress';
+  return null;
+}
+
+/** @param {{date:string, time:string}|null} recurrenceId - the series' own date and start time of an edited occurrence */
+function eventLines(r, stamp, recurrenceId = null) {
+  const day   = r.dueDate.replace(/-/g, '');
+  const timed = !!r.startTime;
+  const at    = d => icsValue(d, r.startTime);
+  const dtype = timed ? '' : ';VALUE=DATE';
+  const mins  = Math.round(r.duration * 60);
+  const out = [
+    'BEGIN:VEVENT',
+    `UID:${r.id}@campusflow`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART${dtype}:${timed ? at(r.dueDate) : day}`,
+    timed ? `DURATION:PT${Math.floor(mins / 60)}H${mins % 60}M` : 'DURATION:P1D',
+    `X-CAMPUSFLOW-HOURS:${r.duration}`,
+    `SUMMARY:${escapeText(r.title)}`,
+    `CATEGORIES:${r.tags.map(escapeText).join(',')}`,
+    `STATUS:${r.status === 'canceled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    `X-CAMPUSFLOW-STATUS:${r.status}`
+  ];
+  if (recurrenceId) {
+    out.splice(2, 0, `RECURRENCE-ID${recurrenceId.time ? '' : ';VALUE=DATE'}:${icsValue(recurrenceId.date, recurrenceId.time)}`);
+  }
+  if (r.notes)  out.push(`DESCRIPTION:${escapeText(r.notes)}`);
+  if (r.urgent) out.push('PRIORITY:1');
+  const rule = r.recurrence;
+  if (rule) {
+    const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+    if (rule.interval > 1)    parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.weekdays.length) parts.push(`BYDAY=${rule.weekdays.map(d => ICS_DAYS[d]).join(',')}`);
+    // UNTIL has the same value type as DTSTART
+    if (rule.until)           parts.push(`UNTIL=${rule.until.replace(/-/g, '')}${timed ? 'T235959' : ''}`);
+    if (rule.count)           parts.push(`COUNT=${rule.count}`);
+    out.push(`RRULE:${parts.join(';')}`);
+    if (rule.exdates.length) out.push(`EXDATE${dtype}:${rule.exdates.map(at).join(',')}`);
+  }
+  out.push('END:VEVENT');
+  return out;
+}
+
+// DTSTART-style value: a DATE, or a floating DATE-TIME when there is a start time
+function icsValue(date, time) {
+  const day = date.replace(/-/g, '');
+  return time ? `${day}T${time.replace(':', '')}00` : day;
+}
+
+// Other calendars' categories ("CS101", "Work/Uni") keep their letters; one with none is dropped
+function categoryToTag(c) {
+  return validateTag(c) ? c.replace(/[^A-Za-z]+/g, ' ').trim() : c;
+}
+
+function eventToRecord(ev) {
+  if (!ev.DTSTART) throw new Error('Event has no start date.');
+  const start = icsDate(ev.DTSTART.value, ev.DTSTART.params.VALUE === 'DATE');
+
+  let hours = parseFloat(ev['X-CAMPUSFLOW-HOURS']?.value);
+  if (!(hours > 0) && start.time) {
+    if (ev.DURATION) hours = parseDuration(ev.DURATION.value);
+    else if (ev.DTEND) {
+      const end = icsDate(ev.DTEND.value);
+      hours = (new Date(`${end.date}T${end.time || '00:00'}`) - new Date(`${start.date}T${start.time}`)) / 3600000;
+    }
+  }
+  if (!(hours > 0)) hours = 1;   // all-day events without Campus Flow hours
+
+  const ownStatus  = ev['X-CAMPUSFLOW-STATUS']?.value;
+  const categories = [...new Set(splitText(ev.CATEGORIES?.value || '').map(categoryToTag).filter(Boolean))];
+  const priority  = parseInt(ev.PRIORITY?.value, 10);
+  return {
+    title:      unescapeText(ev.SUMMARY?.value || '').trim(),
+    dueDate:    start.date,
+    startTime:  start.time,
+    duration:   Math.round(hours * 100) / 100,
+    tags:       categories.length ? categories : ['Personal'],
+    status:     STATUSES.includes(ownStatus) ? ownStatus
+                  : ev.STATUS?.value === 'CANCELLED' ? 'canceled' : 'not-started',
+    urgent:     priority >= 1 && priority <= 4,
+    notes:      unescapeText(ev.DESCRIPTION?.value || ''),
+    recurrence: ev.RRULE ? parseRRule(ev.RRULE.value, ev.EXDATE || []) : null
+  };
+}
+
+function parseRRule(value, exdates) {
+  const p = Object.fromEntries(value.split(';').map(kv => kv.split('=')));
+  const freq = (p.FREQ || '').toLowerCase();
+  if (!['daily', 'weekly', 'monthly'].includes(freq)) throw new Error(`Repeat rule FREQ=${p.FREQ} is not supported.`);
+  const days = p.BYDAY ? p.BYDAY.split(',') : [];
+  if (days.some(d => !ICS_DAYS.includes(d)) || (days.length && freq !== 'weekly')) {
+    throw new Error(`Repeat rule BYDAY=${p.BYDAY} is not supported.`);
+  }
+  return {
+    freq,
+    interval:  parseInt(p.INTERVAL, 10) || 1,
+    weekdays:  days.map(d => ICS_DAYS.indexOf(d)),
+    until:     p.UNTIL ? icsDate(p.UNTIL).date : null,
+    count:     parseInt(p.COUNT, 10) || null,
+    exdates:   exdates.map(v => icsDate(v).date),
+    overrides: {}
+  };
+}
+
+function parseProperty(line) {
+  const m = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^:;]*))*):(.*)$/);
+  if (!m) return null;
+  const params = {};
+  for (const [, k, v] of m[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^:;]*)/g)) params[k.toUpperCase()] = v.replace(/^"|"$/g, '');
+  return { name: m[1].toUpperCase(), params, value: m[3] };
+}
+
+/** '20260224' | '20260224T140000' | '20260224T140000Z' → local date and time. */
+function icsDate(value, dateOnly = false) {
+  const m = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) throw new Error(`"${value}" is not an iCalendar date.`);
+  const [, y, mo, d, h, mi, , utc] = m;
+  if (!h || dateOnly) return { date: `${y}-${mo}-${d}`, time: '' };
+  if (!utc) return { date: `${y}-${mo}-${d}`, time: `${h}:${mi}` };
+  const local = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi));
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+    time: `${pad(local.getHours())}:${pad(local.getMinutes())}`
+  };
+}
+
+function parseDuration(v) {
+  const m = String(v).match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!m) return NaN;
+  const [, w = 0, d = 0, h = 0, mi = 0, s = 0] = m.map(x => x === undefined ? undefined : Number(x));
+  return w * 168 + d * 24 + h + mi / 60 + s / 3600;
+}
+
+function escapeText(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(s) {
+  return String(s).replace(/\\([\\;,nN])/g, (_, c) => c === 'n' || c === 'N' ? '\n' : c);
+}
+
+/** Tag labels from a CSV cell: "Academic; Physics" (commas work too). */
+function splitTags(cell) {
+  const labels = [...new Set(cell.split(/[;,]/).map(l => l.trim()).filter(Boolean))];
+  return labels.length ? labels : ['Personal'];
+}
+
+/** Split a comma-separated TEXT list, honouring escaped commas. */
+function splitText(s) {
+  return s.split(/(?<!\\),/).map(part => unescapeText(part).trim()).filter(Boolean);
+}
+
+/** Fold content lines longer than 75 characters (RFC 5545 §3.1). */
+function foldLine(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+  return parts.join('\r\n ');
+}
+
+/** Plain-text pieces shared by the Markdown and HTML reports; `text` escapes the user's own titles and tags. */
+function reviewParts(review, text = s => s) {
+  const { totals: t, cap } = review;
+  const hrs  = h => `${h.toFixed(1)}h`;
+  const item = r => `${r.dueDate} — ${text(r.title)} (${text(r.tag)}, ${hrs(r.duration)}, ${r.status})`;
+  return {
+    title: `Weekly Review: ${review.from} to ${review.to}`,
+    summary: [
+      `Planned: ${hrs(t.plannedHrs)} across ${t.count} activit${t.count === 1 ? 'y' : 'ies'}`,
+      `Completed: ${hrs(t.completedHrs)} (${t.completed} of ${t.count}${t.rate == null ? '' : `, ${t.rate}%`})`,
+      `Slipped past due date: ${review.slipped.length}`,
+      `Over-cap days: ${review.overDays.length}`,
+      `Carried over from earlier weeks: ${review.carriedOver.length}`
+    ],
+    tags: review.byTag.map(g => [text(g.tag), `${g.completed}/${g.count}`, hrs(g.plannedHrs), hrs(g.completedHrs)]),
+    lists: [
+      { heading: 'Over-cap days', items: review.overDays.map(d => `${d.date}: ${hrs(d.hrs)} of ${d.cap ?? cap}h`) },
+      { heading: 'Slipped', items: review.slipped.map(item) },
+      { heading: 'Carried over', items: review.carriedOver.map(item) }
+    ]
+  };
+}
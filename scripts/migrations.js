@@ -0,0 +1,104 @@
+/**
+ * migrations.js — Versioned storage schema.
+ * Persisted data and JSON exports are wrapped as { version, records } or
+ * { version, settings }. Version 1 is the original unversioned shape: a bare
+ * records array and a bare settings object. Each step upgrades n → n + 1.
+ */
+
+export const SCHEMA_VERSION = 4;
+
+const RECORD_STEPS = {
+  // v2 added start times and repeat rules
+  1: recs => recs.map(r => ({ startTime: '', recurrence: null, ...r })),
+  // v3 refers to tags by id. The old label stays as `tag` so a tag missing
+  // from settings can be recreated under its name (see state.js).
+  2: recs => recs.map(r => ({
+    ...r,
+    tagId: tagIdFor(r.tag || 'Personal'),
+    recurrence: r.recurrence && {
+      ...r.recurrence,
+      overrides: Object.fromEntries(Object.entries(r.recurrence.overrides || {}).map(([date, { tag, ...o }]) =>
+        [date, tag ? { ...o, tagId: tagIdFor(tag) } : o]))
+    }
+  })),
+  // v4 lets an activity carry several tags
+  3: recs => recs.map(({ tagId, ...r }) => ({
+    ...r,
+    tagIds: [tagId || 'personal'],
+    recurrence: r.recurrence && {
+      ...r.recurrence,
+      overrides: Object.fromEntries(Object.entries(r.recurrence.overrides || {}).map(([date, { tagId: own, ...o }]) =>
+        [date, own ? { ...o, tagIds: [own] } : o]))
+    }
+  }))
+};
+
+const SETTINGS_STEPS = {
+  // v2 added saved views and the merge-import sync point
+  1: s => ({ savedViews: [], activeView: null, lastSyncAt: null, ...s }),
+  // v3: saved views filter by tag id
+  2: s => ({
+    ...s,
+    savedViews: (s.savedViews || []).map(({ tag, ...v }) => ({ ...v, tagId: tag ? tagIdFor(tag) : '' }))
+  }),
+  // v4 only changed records; tags may now name a parent, which is optional
+  3: s => s
+};
+
+/**
+ * The id a tag label has always been given (lower case, spaces to hyphens).
+ * @param {string} label
+ * @returns {string}
+ */
+export function tagIdFor(label) {
+  return String(label).toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+}
+
+export class MigrationError extends Error {}
+
+/**
+ * Split parsed JSON into its schema version and payload.
+ * @param {*} parsed
+ * @param {'records'|'settings'} key
+ * @returns {{version:number, data:*}}
+ */
+export function unwrap(parsed, key) {
+  if (key === 'records' && Array.isArray(parsed)) return { version: 1, data: parsed };
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new MigrationError(`Expected Campus Flow ${key} data.`);
+  }
+  if (!('version' in parsed)) {
+    if (key === 'settings') return { version: 1, data: parsed };
+    throw new MigrationError('Expected a list of records or { version, records }.');
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version < 1 || !(key in parsed)) {
+    throw new MigrationError(`Missing a valid "version" or "${key}" field.`);
+  }
+  return { version: parsed.version, data: parsed[key] };
+}
+
+/** @returns {object[]} records in the current schema */
+export function migrateRecords(data, fromVersion) {
+  const out = run(RECORD_STEPS, data, fromVersion);
+  if (!Array.isArray(out)) throw new MigrationError('Records must be a list.');
+  return out;
+}
+
+/** @returns {object} settings in the current schema */
+export function migrateSettings(data, fromVersion) {
+  const out = run(SETTINGS_STEPS, data, fromVersion);
+  if (!out || typeof out !== 'object' || Array.isArray(out)) throw new MigrationError('Settings must be an object.');
+  return out;
+}
+
+function run(steps, data, from) {
+  if (from > SCHEMA_VERSION) {
+    throw new MigrationError(`Saved by a newer version of Campus Flow (schema ${from}; this version reads up to ${SCHEMA_VERSION}).`);
+  }
+  let out = data;
+  for (let v = from; v < SCHEMA_VERSION; v++) {
+    if (!steps[v]) throw new MigrationError(`No upgrade path from schema ${v}.`);
+    out = steps[v](out);
+  }
+  return out;
+}
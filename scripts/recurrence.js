@@ -0,0 +1,185 @@
+/**
+ * recurrence.js — Repeat rules for recurring activities.
+ *
+ * A series is an ordinary record whose `dueDate` is the first occurrence and
+ * whose `recurrence` holds the rule:
+ *   { freq: 'daily'|'weekly'|'monthly', interval, weekdays, until, count,
+ *     exdates: ['YYYY-MM-DD'], overrides: { 'YYYY-MM-DD': { …changed fields } } }
+ * Expanding a series yields occurrence instances with id `${seriesId}@${date}`.
+ */
+
+import { addDays, daysBetween, weekdayOf } from './dates.js';
+
+export const FREQS          = ['daily', 'weekly', 'monthly'];
+export const OCCURRENCE_SEP = '@';
+
+const ISO_DATE  = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS  = ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
+
+/**
+ * Coerce a stored/imported rule into canonical shape.
+ * @param {object|null} raw
+ * @returns {object|null} null when the record does not repeat
+ */
+export function normaliseRecurrence(raw) {
+  if (!raw || typeof raw !== 'object' || !FREQS.includes(raw.freq)) return null;
+  const count = parseInt(raw.count, 10);
+  return {
+    freq:      raw.freq,
+    interval:  Math.max(1, parseInt(raw.interval, 10) || 1),
+    weekdays:  raw.freq === 'weekly'
+                 ? [...new Set((raw.weekdays || []).map(Number))].filter(d => d >= 0 && d <= 6).sort()
+                 : [],
+    until:     ISO_DATE.test(raw.until || '') ? raw.until : null,
+    count:     count > 0 ? count : null,
+    exdates:   Array.isArray(raw.exdates) ? [...new Set(raw.exdates.map(String))].sort() : [],
+    overrides: raw.overrides && typeof raw.overrides === 'object' ? { ...raw.overrides } : {}
+  };
+}
+
+/**
+ * Dates on which a series occurs, limited to [from, to].
+ * `count` is measured from the series start and includes skipped dates,
+ * matching iCalendar COUNT/EXDATE semantics.
+ * @param {string} start - series start (YYYY-MM-DD)
+ * @param {object} rule  - normalised recurrence
+ * @param {string} from
+ * @param {string} to
+ * @returns {string[]}
+ */
+export function occurrenceDates(start, rule, from, to) {
+  if (!rule || !start) return [];
+  const last  = rule.until && rule.until < to ? rule.until : to;
+  const dates = [];
+  let seen = 0;
+  // Without a count the rule can be tested from the window start directly.
+  let d = (rule.count || from < start) ? start : from;
+  while (d <= last) {
+    if (matches(start, rule, d)) {
+      seen++;
+      if (d >= from && !rule.exdates.includes(d)) dates.push(d);
+      if (rule.count && seen >= rule.count) break;
+    }
+    d = addDays(d, 1);
+  }
+  return dates;
+}
+
+/**
+ * Expand a series record into occurrence instances within [from, to].
+ * @param {object} rec - series record (must have `recurrence`)
+ * @param {string} from
+ * @param {string} to
+ * @returns {object[]}
+ */
+export function expandRecord(rec, from, to) {
+  return occurrenceDates(rec.dueDate, rec.recurrence, from, to)
+    .map(date => buildOccurrence(rec, date));
+}
+
+/**
+ * Build the instance for one occurrence date, applying its override.
+ * @param {object} rec
+ * @param {string} date
+ * @returns {object}
+ */
+export function buildOccurrence(rec, date) {
+  const override = rec.recurrence.overrides[date] || {};
+  return {
+    ...rec,
+    ...override,
+    dependsOn:  rec.dependsOn,   // always the series' own, even over an older per-date copy
+    id:         `${rec.id}${OCCURRENCE_SEP}${date}`,
+    seriesId:   rec.id,
+    occurrence: date,
+    dueDate:    override.dueDate || date
+  };
+}
+
+/**
+ * @param {string} id
+ * @returns {{seriesId:string, date:string}|null}
+ */
+export function parseOccurrenceId(id) {
+  const at = String(id).lastIndexOf(OCCURRENCE_SEP);
+  if (at === -1) return null;
+  return { seriesId: id.slice(0, at), date: id.slice(at + 1) };
+}
+
+/**
+ * True when `date` is a (non-skipped) occurrence of the series.
+ * @param {object} rec
+ * @param {string} date
+ * @returns {boolean}
+ */
+export function occursOn(rec, date) {
+  return occurrenceDates(rec.dueDate, rec.recurrence, date, date).length === 1;
+}
+
+/**
+ * Split a rule at `date` for "this and following" edits.
+ * The head ends the day before; the tail restarts at `date` and keeps the
+ * skipped dates and overrides that fall inside it.
+ * @param {string} start
+ * @param {object} rule
+ * @param {string} date
+ * @returns {{head:object, tail:object}}
+ */
+export function splitRecurrence(start, rule, date) {
+  const before = rule.count
+    ? occurrenceDates(start, { ...rule, count: null, exdates: [] }, start, addDays(date, -1)).length
+    : 0;
+  const pick = (pred) => Object.fromEntries(Object.entries(rule.overrides).filter(([d]) => pred(d)));
+  return {
+    head: {
+      ...rule,
+      until:     addDays(date, -1),
+      count:     rule.count ? before : null,
+      exdates:   rule.exdates.filter(d => d < date),
+      overrides: pick(d => d < date)
+    },
+    tail: {
+      ...rule,
+      count:     rule.count ? Math.max(1, rule.count - before) : null,
+      exdates:   rule.exdates.filter(d => d >= date),
+      overrides: pick(d => d >= date)
+    }
+  };
+}
+
+/**
+ * Human-readable summary, e.g. "Weekly on Mon, Wed until 2026-05-01".
+ * @param {object|null} rule
+ * @returns {string}
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return 'Does not repeat';
+  let text;
+  if (rule.freq === 'daily')  text = rule.interval > 1 ? `Every ${rule.interval} days` : 'Daily';
+  if (rule.freq === 'weekly') {
+    const on = rule.weekdays.length ? ` on ${rule.weekdays.map(d => WEEKDAYS[d]).join(', ')}` : '';
+    text = (rule.interval > 1 ? `Every ${rule.interval} weeks` : 'Weekly') + on;
+  }
+  if (rule.freq === 'monthly') text = rule.interval > 1 ? `Every ${rule.interval} months` : 'Monthly';
+  if (rule.until) text += ` until ${rule.until}`;
+  if (rule.count) text += `, ${rule.count} time${rule.count !== 1 ? 's' : ''}`;
+  return text;
+}
+
+// ── Private helpers ───────────────────────────────────────────────
+
+function matches(start, rule, date) {
+  const diff = daysBetween(start, date);
+  if (diff < 0) return false;
+  if (rule.freq === 'daily') return diff % rule.interval === 0;
+  if (rule.freq === 'weekly') {
+    const days  = rule.weekdays.length ? rule.weekdays : [weekdayOf(start)];
+    const weeks = Math.floor((diff + weekdayOf(start)) / 7);
+    return days.includes(weekdayOf(date)) && weeks % rule.interval === 0;
+  }
+  // monthly — same day-of-month; months without that day are skipped
+  const [sy, sm, sd] = start.split('-').map(Number);
+  const [y, m, d]    = date.split('-').map(Number);
+  const months = (y - sy) * 12 + (m - sm);
+  return d === sd && months % rule.interval === 0;
+}
@@ -1,8 +1,11 @@
 /**
  * search.js
- * Safe regex compiler and accessible text highlighting for Campus Flow.
+ * Safe regex compiler, planner query language and accessible text
+ * highlighting for Campus Flow.
  */
 
+import { todayISO, addDays, startOfWeek } from './dates.js';
+
 /**
  * Safely compile a user-supplied regex string.
  * Returns null if the pattern is empty or invalid.
@@ -33,14 +36,15 @@ export function highlight(text, re) {
 }
 
 /**
- * Filter an array of records against a compiled regex.
- * Searches across title, tag, notes, and dueDate fields.
- * @param {Array}       records
- * @param {RegExp|null} re
+ * Filter an array of records against a compiled regex or query.
+ * A regex searches across title, tag, notes, and dueDate fields.
+ * @param {Array}              records
+ * @param {RegExp|Query|null}  re - Query objects come from compileQuery
  * @returns {Array}
  */
 export function filterRecords(records, re) {
   if (!re) return records;
+  if (!(re instanceof RegExp)) return records.filter(r => re.test(r));
   return records.filter(r =>
     re.test(r.title) ||
     re.test(r.tag)   ||
@@ -49,6 +53,266 @@ export function filterRecords(records, re) {
   );
 }
 
+// ── Query Language ────────────────────────────────────────────────
+//
+//   query   := or
+//   or      := and ( OR and )*
+//   and     := not ( [AND] not )*            — adjacent terms are ANDed
+//   not     := ( NOT | - ) not | primary
+//   primary := '(' or ')' | field ':' value | /regex/ | "phrase" | word
+//
+// Fields: tag, status, urgent, due, dur, title, notes.
+// due/dur take a value, a range (a..b, either end open) or >, >=, <, <=.
+// due also understands today, tomorrow, yesterday, week and today±N.
+
+const FIELDS   = ['tag', 'status', 'urgent', 'due', 'dur', 'title', 'notes'];
+const STATUSES = ['not-started', 'in-progress', 'completed', 'canceled'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {object} Query
+ * @property {(record:object) => boolean} test
+ * @property {RegExp|null} highlightRe - free-text and title: terms, for highlight()
+ */
+
+/**
+ * Parse the planner search box into a query.
+ * Plain text keeps working as before: each word is a regex over
+ * title, tag, notes and dueDate.
+ * @param {string} input
+ * @param {string} flags - regex flags for text terms (default 'i')
+ * @returns {{query: Query|null, error: string|null}}
+ */
+export function compileQuery(input, flags = 'i') {
+  if (!input || !input.trim()) return { query: null, error: null };
+  try {
+    const parser = new QueryParser(tokenize(input), flags);
+    const node   = parser.parse();
+    const marks  = parser.marks.filter(Boolean);
+    return {
+      query: {
+        test: rec => node(rec),
+        highlightRe: marks.length ? new RegExp(marks.join('|'), flags.replace('g', '') + 'g') : null
+      },
+      error: null
+    };
+  } catch (e) {
+    if (e instanceof QuerySyntaxError) return { query: null, error: e.message };
+    throw e;
+  }
+}
+
+class QuerySyntaxError extends Error {}
+
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ type: ch, pos: i }); i++; continue; }
+    if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'not', pos: i }); i++; continue;
+    }
+    if (ch === '/') {
+      const end = findClosing(input, i, '/');
+      const flags = (input.slice(end + 1).match(/^[a-z]*/))[0];
+      tokens.push({ type: 'regex', value: input.slice(i + 1, end), flags, pos: i });
+      i = end + 1 + flags.length;
+      continue;
+    }
+    // Word, possibly with quoted parts: exam, "lab report", tag:"Lab Work"
+    const start = i;
+    let value = '', quoted = false;
+    while (i < input.length && !/[\s()]/.test(input[i])) {
+      if (input[i] === '"') {
+        const end = findClosing(input, i, '"');
+        value += input.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        value += input[i++];
+      }
+    }
+    if (!quoted && /^(AND|OR|NOT)$/.test(value)) tokens.push({ type: value.toLowerCase(), pos: start });
+    else tokens.push({ type: 'word', value, quoted, raw: input.slice(start, i), pos: start });
+  }
+  return tokens;
+}
+
+function findClosing(input, from, quote) {
+  for (let j = from + 1; j < input.length; j++) {
+    if (input[j] === '\\') { j++; continue; }
+    if (input[j] === quote) return j;
+  }
+  throw new QuerySyntaxError(`Missing closing ${quote} for the one opened at position ${from + 1}.`);
+}
+
+class QueryParser {
+  constructor(tokens, flags) {
+    this.tokens  = tokens;
+    this.pos     = 0;
+    this.flags   = flags;
+    this.negated = 0;
+    this.marks   = [];
+  }
+
+  parse() {
+    const node = this.or();
+    const extra = this.peek();
+    if (extra) throw new QuerySyntaxError(extra.type === ')'
+      ? `Unexpected ")" at position ${extra.pos + 1}.`
+      : `Unexpected "${extra.raw || extra.type}" at position ${extra.pos + 1}.`);
+    return node;
+  }
+
+  peek() { return this.tokens[this.pos]; }
+  next() { return this.tokens[this.pos++]; }
+
+  or() {
+    const parts = [this.and()];
+    while (this.peek()?.type === 'or') { this.next(); parts.push(this.and()); }
+    return parts.length === 1 ? parts[0] : rec => parts.some(p => p(rec));
+  }
+
+  and() {
+    const parts = [this.not()];
+    for (let t = this.peek(); t && t.type !== 'or' && t.type !== ')'; t = this.peek()) {
+      if (t.type === 'and') this.next();
+      parts.push(this.not());
+    }
+    return parts.length === 1 ? parts[0] : rec => parts.every(p => p(rec));
+  }
+
+  not() {
+    if (this.peek()?.type === 'not') {
+      this.next();
+      this.negated++;
+      const inner = this.not();
+      this.negated--;
+      return rec => !inner(rec);
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const t = this.next();
+    if (!t) throw new QuerySyntaxError('Query ends too early — expected a search term.');
+    if (t.type === '(') {
+      const inner = this.or();
+      if (this.next()?.type !== ')') throw new QuerySyntaxError(`Missing ")" for the "(" at position ${t.pos + 1}.`);
+      return inner;
+    }
+    if (t.type === 'regex') return this.textTerm(t.value, t.flags || this.flags, t.pos, ['title', 'tag', 'notes', 'dueDate']);
+    if (t.type !== 'word') {
+      throw new QuerySyntaxError(`Expected a search term before "${t.type === ')' ? ')' : t.type.toUpperCase()}" at position ${t.pos + 1}.`);
+    }
+
+    const field = !t.quoted || t.raw.indexOf('"') > t.raw.indexOf(':')
+      ? t.value.match(/^([a-z]+):(.*)$/i) : null;
+    if (!field) {
+      const source = t.quoted ? escapeRegex(t.value) : t.value;
+      return this.textTerm(source, this.flags, t.pos, ['title', 'tag', 'notes', 'dueDate']);
+    }
+    const name = field[1].toLowerCase(), value = field[2];
+    if (!FIELDS.includes(name)) {
+      throw new QuerySyntaxError(`Unknown field "${field[1]}:" — use ${FIELDS.map(f => f + ':').join(', ')}.`);
+    }
+    if (!value) throw new QuerySyntaxError(`"${name}:" needs a value.`);
+    return this.fieldTerm(name, value, t);
+  }
+
+  textTerm(source, flags, pos, keys) {
+    let re;
+    try { re = new RegExp(source, flags.replace('g', '')); }
+    catch { throw new QuerySyntaxError(`Invalid regex pattern at position ${pos + 1}.`); }
+    if (!this.negated && keys.includes('title')) this.marks.push(re.source);
+    return rec => keys.some(k => re.test(String(rec[k] ?? '')));
+  }
+
+  fieldTerm(name, value, t) {
+    switch (name) {
+      case 'tag': {
+        // `tags` (when given) lists every tag label that should match, e.g. parents too
+        const want = value.toLowerCase();
+        return rec => (rec.tags || [rec.tag]).some(t => String(t).toLowerCase() === want);
+      }
+      case 'status': {
+        const want = value.toLowerCase();
+        if (!STATUSES.includes(want)) {
+          throw new QuerySyntaxError(`Unknown status "${value}" — use ${STATUSES.join(', ')}.`);
+        }
+        return rec => rec.status === want;
+      }
+      case 'urgent': {
+        const v = value.toLowerCase();
+        if (!['yes', 'no', 'true', 'false'].includes(v)) throw new QuerySyntaxError('"urgent:" takes yes or no.');
+        const want = v === 'yes' || v === 'true';
+        return rec => !!rec.urgent === want;
+      }
+      case 'title':
+      case 'notes':
+        return this.textTerm(t.quoted ? escapeRegex(value) : value, this.flags, t.pos, [name]);
+      case 'due': {
+        const inRange = parseRange(value, parseDueValue, name);
+        return rec => inRange(rec.dueDate);
+      }
+      case 'dur': {
+        const inRange = parseRange(value, v => {
+          if (!/^\d+(\.\d+)?$/.test(v)) throw new QuerySyntaxError(`"${v}" is not a number of hours.`);
+          return [Number(v), Number(v)];
+        }, name);
+        return rec => inRange(Number(rec.duration));
+      }
+    }
+  }
+}
+
+/**
+ * Build a bounds test from "a..b", ">a", "<=b" or a single value.
+ * parseOne returns [low, high] so a value like "week" can cover a span.
+ */
+function parseRange(value, parseOne, name) {
+  const cmp = value.match(/^(>=|<=|>|<)(.+)$/);
+  if (cmp) {
+    const [lo, hi] = parseOne(cmp[2]);
+    return {
+      '>':  v => v > hi,
+      '>=': v => v >= lo,
+      '<':  v => v < lo,
+      '<=': v => v <= hi
+    }[cmp[1]];
+  }
+  if (value.includes('..')) {
+    const [a, b] = value.split('..');
+    if (!a && !b) throw new QuerySyntaxError(`"${name}:.." needs at least one end.`);
+    const lo = a ? parseOne(a)[0] : null;
+    const hi = b ? parseOne(b)[1] : null;
+    if (lo !== null && hi !== null && lo > hi) throw new QuerySyntaxError(`"${name}:${value}" starts after it ends.`);
+    return v => (lo === null || v >= lo) && (hi === null || v <= hi);
+  }
+  const [lo, hi] = parseOne(value);
+  return v => v >= lo && v <= hi;
+}
+
+function parseDueValue(v) {
+  const today = todayISO();
+  const key = v.toLowerCase();
+  if (ISO_DATE.test(v)) return [v, v];
+  if (key === 'today')     return [today, today];
+  if (key === 'tomorrow')  return [addDays(today, 1), addDays(today, 1)];
+  if (key === 'yesterday') return [addDays(today, -1), addDays(today, -1)];
+  if (key === 'week') {
+    const monday = startOfWeek(today);
+    return [monday, addDays(monday, 6)];
+  }
+  const rel = key.match(/^today([+-]\d+)$/);
+  if (rel) { const d = addDays(today, Number(rel[1])); return [d, d]; }
+  throw new QuerySyntaxError(`"${v}" is not a date — use YYYY-MM-DD, today, tomorrow, yesterday, week or today+N.`);
+}
+
+function escapeRegex(s) { return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
 /**
  * Escape HTML special characters to prevent XSS in innerHTML assignments.
  * @param {string} str
@@ -2,75 +2,1187 @@
  * state.js — Central state. All mutations go through here.
  */
 
-import { loadRecords, saveRecords, loadSettings, saveSettings } from './storage.js';
+import { openStorage, loadRecords, saveRecords, loadSettings, saveSettings,
+         loadSnapshots, saveSnapshot, deleteSnapshots } from './storage.js';
+import { SCHEMA_VERSION, unwrap, migrateRecords, migrateSettings, tagIdFor } from './migrations.js';
+import { normaliseRecurrence, expandRecord, buildOccurrence, parseOccurrenceId,
+         occursOn, occurrenceDates, splitRecurrence } from './recurrence.js';
+import { todayISO, addDays, daysBetween, weekdayOf, startOfWeek, timeToMinutes, minutesToTime } from './dates.js';
+import { PATTERNS } from './validators.js';
+
+// How far ahead open-ended series are expanded for the Planner and stats.
+export const HORIZON_DAYS = 28;
+// Waking-day window (hours) used to find free gaps on the day timeline.
+export const DAY_START_HOUR = 7;
+export const DAY_END_HOUR   = 22;
+// Undo steps kept in memory; the oldest are dropped first.
+export const HISTORY_LIMIT = 50;
+// Focus timer rounds (minutes)
+export const FOCUS_MINUTES = 25;
+export const BREAK_MINUTES = 5;
 
 let records  = [];
 let settings = {};
 let _idCounter = 0;
 
+let _undoStack = [];
+let _redoStack = [];
+let _pending   = null;   // history entry being recorded by the current transaction
+
+let _snapshots = [];     // restore points, newest first
+
 // ── Init ──────────────────────────────────────────────────────────────────
 
-export function initState(seedData = []) {
-  settings = loadSettings();
-  const stored = loadRecords();
+/**
+ * @param {object[]|object} [seedData] - records to start from when nothing has been saved
+ * @param {{memory?:boolean}} [options] - memory: start from seedData and save nothing (tests.html)
+ */
+export async function initState(seedData = [], { memory = false } = {}) {
+  await openStorage({ memory });
+  _undoStack = [];
+  _redoStack = [];
+  _idCounter = 0;
+  settings = await loadSettings();
+  const stored = memory ? null : await loadRecords();
   if (stored === null) {
-    records = seedData.map(normalise);
+    const seed = unwrap(seedData, 'records');
+    const list = migrateRecords(seed.data, seed.version);
+    _addTags(_missingTags(list));
+    records = list.map(normalise);
     saveRecords(records);
   } else {
+    _addTags(_missingTags(stored));
     records = stored.map(normalise);
   }
-  _idCounter = records.reduce((max, r) => {
-    const n = parseInt(r.id.replace(/\D/g, ''), 10) || 0;
-    return Math.max(max, n);
-  }, 0);
+  _syncIdCounter();
+  _snapshots = (await loadSnapshots()).sort((a, b) => b.date.localeCompare(a.date));
+  _dailySnapshot();
 }
 
 // ── Records CRUD ──────────────────────────────────────────────────────────
 
 export function getRecords()  { return [...records]; }
-export function getRecord(id) { return records.find(r => r.id === id) || null; }
+export function getRecord(id) {
+  const occ = parseOccurrenceId(id);
+  if (!occ) return records.find(r => r.id === id) || null;
+  const series = records.find(r => r.id === occ.seriesId);
+  return series?.recurrence && occursOn(series, occ.date) ? buildOccurrence(series, occ.date) : null;
+}
+
+/**
+ * Records with every recurring series expanded into its occurrences.
+ * Series are expanded over [from ?? series start, to ?? today + HORIZON_DAYS];
+ * one-off records are only filtered when `from`/`to` are given.
+ */
+export function getOccurrences({ from = null, to = null } = {}) {
+  const end = to || addDays(todayISO(), HORIZON_DAYS);
+  return records.flatMap(r => {
+    if (r.recurrence) {
+      const start    = from || r.dueDate;
+      const inWindow = d => d >= start && d <= end;
+      // Occurrences rescheduled into the window from a date outside it
+      const movedIn  = Object.entries(r.recurrence.overrides)
+        .filter(([d, o]) => o.dueDate && !inWindow(d) && inWindow(o.dueDate) && occursOn(r, d))
+        .map(([d]) => buildOccurrence(r, d));
+      return [...expandRecord(r, start, end).filter(o => inWindow(o.dueDate)), ...movedIn];
+    }
+    if ((from && r.dueDate < from) || (to && r.dueDate > to)) return [];
+    return [r];
+  });
+}
 
 export function addRecord(data) {
-  const now = new Date().toISOString();
-  const rec = normalise({ ...data, id: generateId(), createdAt: now, updatedAt: now });
-  records.push(rec);
-  saveRecords(records);
-  return rec;
+  return transaction('Add activity', () => {
+    const now = new Date().toISOString();
+    const rec = _autoStatus(null, normalise({ ...data, id: generateId(), createdAt: now, updatedAt: now }));
+    _track(rec.id);
+    records.push(rec);
+    _markDirty();
+    return rec;
+  });
 }
 
 export function updateRecord(id, data) {
-  const idx = records.findIndex(r => r.id === id);
-  if (idx === -1) return null;
-  records[idx] = normalise({ ...records[idx], ...data, id, updatedAt: new Date().toISOString() });
-  saveRecords(records);
-  return records[idx];
+  return transaction('Edit activity', () => {
+    const occ = parseOccurrenceId(id);
+    if (occ) return updateOccurrence(occ.seriesId, occ.date, data);
+    const idx = records.findIndex(r => r.id === id);
+    if (idx === -1) return null;
+    _track(id);
+    records[idx] = _autoStatus(records[idx], normalise({ ...records[idx], ...data, id, updatedAt: new Date().toISOString() }));
+    _markDirty();
+    return records[idx];
+  });
 }
 
 export function deleteRecord(id) {
-  const before = records.length;
-  records = records.filter(r => r.id !== id);
-  if (records.length !== before) saveRecords(records);
+  transaction('Delete activity', () => {
+    const occ = parseOccurrenceId(id);
+    if (occ) { skipOccurrence(occ.seriesId, occ.date); return; }
+    if (!records.some(r => r.id === id)) return;
+    _track(id);
+    records = records.filter(r => r.id !== id);
+    _markDirty();
+  });
+}
+
+/**
+ * Reschedule a record, or one occurrence of a series on its own, as one undo step.
+ * @returns {object[]|null} the limits the new day breaks (see budgetOverruns);
+ *   null when nothing moved
+ */
+export function moveRecord(id, date) {
+  const rec = getRecord(id);
+  if (!rec || rec.dueDate === date) return null;
+  const overruns = budgetOverruns({ ...rec, dueDate: date }, id);
+  transaction(`Move "${rec.title}"`, () => updateRecord(id, { dueDate: date }));
+  return overruns;
+}
+
+/** @param {object[]} [tags] - the import file's tags, for any not here yet */
+export function replaceAllRecords(newRecords, tags = []) {
+  transaction('Import', () => {
+    _addTags(_missingTags(newRecords, tags));
+    const next = newRecords.map(normalise);
+    [...records, ...next].forEach(r => _track(r.id));
+    records = next;
+    _syncIdCounter();
+    _markDirty();
+  });
+}
+
+// ── Merge import ──────────────────────────────────────────────────────────
+
+// Fields compared when deciding whether two copies of a record differ
+const MERGE_FIELDS = ['title', 'dueDate', 'startTime', 'duration', 'tagIds', 'notes', 'urgent', 'priority', 'status', 'subtasks', 'dependsOn', 'actualMinutes', 'recurrence'];
+
+/**
+ * Compare imported records with local ones by id.
+ * A side has "changed" when its updatedAt is after the last sync
+ * (settings.lastSyncAt, set by JSON export and merge). When only one side
+ * changed it wins; when both did — or there has never been a sync — the pair
+ * is a conflict, pre-resolved to the newer updatedAt. So is an imported copy
+ * newer than ours but from before the last sync: it was made on another
+ * device and never merged here, so it is not simply out of date.
+ * @param {object[]} incoming - validated import records
+ * @param {object[]} [tags] - the import file's tags
+ * @returns {{added:object[], updated:object[], skipped:object[],
+ *            conflicts:{id:string, local:object, incoming:object, fields:string[], winner:'local'|'incoming'}[],
+ *            newTags:object[]}} newTags are created when the plan is applied
+ */
+export function planMerge(incoming, tags = []) {
+  const since = settings.lastSyncAt || null;
+  const plan  = { added: [], updated: [], skipped: [], conflicts: [], newTags: _missingTags(incoming, tags) };
+  for (const raw of incoming) {
+    const theirs = normalise(raw);
+    const mine   = records.find(r => r.id === theirs.id);
+    if (!mine) { plan.added.push(theirs); continue; }
+
+    const fields = MERGE_FIELDS.filter(k => JSON.stringify(mine[k]) !== JSON.stringify(theirs[k]));
+    if (!fields.length) { plan.skipped.push(theirs); continue; }
+
+    const theirsNewer   = theirs.updatedAt > mine.updatedAt;
+    const mineChanged   = !since || mine.updatedAt > since;
+    const theirsChanged = !since || theirs.updatedAt > since;
+    const neverSeen     = theirsNewer && !theirsChanged;
+    if ((mineChanged && theirsChanged) || neverSeen) {
+      plan.conflicts.push({ id: mine.id, local: mine, incoming: theirs, fields, winner: theirsNewer ? 'incoming' : 'local' });
+    } else if (theirsChanged && theirsNewer) plan.updated.push(theirs);
+    else plan.skipped.push(theirs);
+  }
+  return plan;
+}
+
+/**
+ * Apply a merge plan as one undo step. Imported copies keep their own
+ * timestamps so the next merge still compares like with like.
+ * @param {object} plan - from planMerge
+ * @param {Object<string, 'local'|'incoming'>} [choices] - per-conflict overrides of `winner`
+ * @returns {{added:number, updated:number, skipped:number}}
+ */
+export function applyMerge(plan, choices = {}) {
+  const take = plan.conflicts.filter(c => (choices[c.id] || c.winner) === 'incoming').map(c => c.incoming);
+  transaction('Merge import', () => {
+    _addTags(plan.newTags || []);
+    for (const rec of [...plan.added, ...plan.updated, ...take]) {
+      _track(rec.id);
+      const idx = records.findIndex(r => r.id === rec.id);
+      if (idx === -1) records.push(_clone(rec));
+      else records[idx] = _clone(rec);
+    }
+    _syncIdCounter();
+    _markDirty();
+  });
+  markSynced();
+  return {
+    added:   plan.added.length,
+    updated: plan.updated.length + take.length,
+    skipped: plan.skipped.length + plan.conflicts.length - take.length
+  };
+}
+
+// ── Other tabs ────────────────────────────────────────────────────────────
+
+/**
+ * Fold a save made by another tab (see storage.onRemoteChange) into state.
+ * The copy with the later updatedAt wins. When ours is later it is kept and
+ * saved again, so the other tab picks it up in turn — that is a conflict.
+ * Two different records created under the same id: the one created first
+ * keeps it and the other moves to a fresh id, along with prerequisites that
+ * pointed at it. Both tabs settle the clash the same way, so only one of them
+ * moves a record. Not an undo step, and undo steps touching the records (or
+ * settings) that changed are dropped so undo cannot bring back what the other
+ * tab replaced. Settings keep this device's own LOCAL_SETTINGS, and undo
+ * steps are only dropped when a shared setting actually changed.
+ * Identical timestamps on differing copies are settled by comparing the
+ * copies themselves, so both tabs pick the same one.
+ * @param {object} message
+ * @returns {{changed:number, conflicts:object[]}} conflicts are the local records kept
+ */
+export function applyRemoteChange(message) {
+  if (message.kind === 'settings') {
+    const shared = _sharedSettings(message.settings) !== _sharedSettings(settings);
+    settings = { ...message.settings, ...Object.fromEntries(LOCAL_SETTINGS.map(k => [k, settings[k]])) };
+    if (shared) _forgetSettingsHistory();
+    return { changed: shared ? 1 : 0, conflicts: [] };
+  }
+
+  const incoming = message.records.map(normalise);
+  const seen     = new Set(incoming.map(r => r.id));
+  const deleted  = message.full ? records.filter(r => !seen.has(r.id)).map(r => r.id) : message.deleted || [];
+  const changed  = [];
+  const resave   = [];
+  const conflicts = [];
+  const renamed   = new Map();   // old id → new id of our records that lost a clash
+  _syncIdCounter([...records, ...incoming]);
+
+  for (const theirs of incoming) {
+    const idx  = records.findIndex(r => r.id === theirs.id);
+    const mine = records[idx];
+    if (!mine) { records.push(theirs); changed.push(theirs.id); continue; }
+    if (JSON.stringify(mine) === JSON.stringify(theirs)) continue;
+    if (mine.createdAt !== theirs.createdAt) {
+      // The creation times differ, so both tabs agree on which record was first
+      if (mine.createdAt < theirs.createdAt) { resave.push(mine.id); continue; }
+      const moved = { ...mine, id: generateId() };
+      renamed.set(mine.id, moved.id);
+      records[idx] = theirs;
+      records.push(moved);
+      changed.push(theirs.id);
+      resave.push(moved.id);
+    } else if (mine.updatedAt > theirs.updatedAt ||
+               (mine.updatedAt === theirs.updatedAt && JSON.stringify(mine) > JSON.stringify(theirs))) {
+      resave.push(mine.id);
+      conflicts.push(mine);
+    } else {
+      records[idx] = theirs;
+      changed.push(theirs.id);
+    }
+  }
+  for (const id of deleted) {
+    const mine = records.find(r => r.id === id);
+    if (!mine) continue;
+    if (mine.updatedAt > message.savedAt) { resave.push(id); conflicts.push(mine); continue; }
+    records = records.filter(r => r.id !== id);
+    changed.push(id);
+  }
+
+  // Our records that named a moved one as a prerequisite follow it. The new
+  // updatedAt must be strictly later, or the other tab's stale copy could tie and win.
+  if (renamed.size) {
+    const now = Date.now();
+    records = records.map(r => {
+      if (seen.has(r.id) || !r.dependsOn?.some(id => renamed.has(id))) return r;
+      resave.push(r.id);
+      changed.push(r.id);
+      const updatedAt = new Date(Math.max(now, Date.parse(r.updatedAt) + 1 || 0)).toISOString();
+      return { ...r, dependsOn: r.dependsOn.map(id => renamed.get(id) || id), updatedAt };
+    });
+  }
+
+  _forgetHistory(changed);
+  if (resave.length) saveRecords(records, resave);
+  return { changed: changed.length, conflicts };
+}
+
+/** Record "now" as the sync point for the next merge. Not an undo step. */
+export function markSynced() {
+  updateSettings({ lastSyncAt: new Date().toISOString() }, { history: false });
+}
+
+// ── Bulk edits ────────────────────────────────────────────────────────────
+
+/**
+ * Apply one change to several records or occurrences as a single undo step.
+ * @param {string[]} ids
+ * @param {object|Function} change - a patch, or `rec => patch` per record
+ * @param {string} [label]
+ * @returns {number} how many records were updated
+ */
+export function updateRecords(ids, change, label = 'Edit activities') {
+  return transaction(label, () => ids.reduce((n, id) => {
+    const rec = getRecord(id);
+    if (!rec) return n;
+    updateRecord(id, typeof change === 'function' ? change(rec) : change);
+    return n + 1;
+  }, 0));
+}
+
+/** @returns {number} how many records were deleted */
+export function deleteRecords(ids, label = 'Delete activities') {
+  return transaction(label, () => ids.reduce((n, id) => {
+    if (!getRecord(id)) return n;
+    deleteRecord(id);
+    return n + 1;
+  }, 0));
+}
+
+// ── Subtasks ──────────────────────────────────────────────────────────────
+
+/** @returns {{done:number, total:number}|null} null when the record has no subtasks */
+export function subtaskProgress(rec) {
+  const list = rec?.subtasks || [];
+  return list.length ? { done: list.filter(st => st.done).length, total: list.length } : null;
+}
+
+/**
+ * Move status along with the checklist: nothing checked → not-started, some →
+ * in-progress, all → completed. Only applies when checking, unchecking, adding
+ * or removing items changes that stage, so a status picked by hand sticks
+ * otherwise. Canceled activities are left alone.
+ */
+function _autoStatus(prev, next) {
+  const stage = rec => {
+    const p = subtaskProgress(rec);
+    return !p ? null : p.done === p.total ? 'completed' : p.done ? 'in-progress' : 'not-started';
+  };
+  const from = stage(prev), to = stage(next);
+  if (!to || from === to || next.status === 'canceled') return next;
+  // Adding a first, unchecked item doesn't undo progress made without a list
+  if (!from && to === 'not-started') return next;
+  return { ...next, status: to };
+}
+
+// ── Focus timer ───────────────────────────────────────────────────────────
+// The running round lives in settings.focus ({ id, title, phase, startedAt }),
+// so it carries on after a reload. It is a preference, not an undo step; the
+// minutes it logs on the record are.
+
+/** @returns {{id:string, title:string, phase:'focus'|'break', startedAt:string, endsAt:number}|null} */
+export function getFocus() {
+  const f = settings.focus;
+  if (!f) return null;
+  const mins = f.phase === 'focus' ? FOCUS_MINUTES : BREAK_MINUTES;
+  return { ...f, endsAt: Date.parse(f.startedAt) + mins * 60000 };
+}
+
+/** Start a focus round on a record or occurrence, replacing any running one. */
+export function startFocus(id) {
+  const rec = getRecord(id);
+  if (!rec) return null;
+  updateSettings({ focus: { id, title: rec.title, phase: 'focus', startedAt: new Date().toISOString() } }, { history: false });
+  return getFocus();
+}
+
+/**
+ * End the session. Whole minutes of an unfinished focus round are logged
+ * unless `log` is false; a break logs nothing.
+ * @returns {number} minutes logged
+ */
+export function stopFocus(log = true) {
+  const f = getFocus();
+  if (!f) return 0;
+  const mins = log && f.phase === 'focus'
+    ? Math.min(FOCUS_MINUTES, Math.floor((Date.now() - Date.parse(f.startedAt)) / 60000)) : 0;
+  if (mins) logActualTime(f.id, mins);
+  updateSettings({ focus: null }, { history: false });
+  return mins;
+}
+
+/**
+ * Move the session on once the current round has run out: a finished focus
+ * round logs FOCUS_MINUTES and starts the break; a finished break ends it.
+ * @returns {'focus-done'|'break-done'|null} what just finished
+ */
+export function advanceFocus(now = Date.now()) {
+  const f = getFocus();
+  if (!f || now < f.endsAt) return null;
+  if (f.phase === 'focus') {
+    logActualTime(f.id, FOCUS_MINUTES);
+    const { endsAt, ...rest } = f;
+    updateSettings({ focus: { ...rest, phase: 'break', startedAt: new Date(endsAt).toISOString() } }, { history: false });
+    return 'focus-done';
+  }
+  updateSettings({ focus: null }, { history: false });
+  return 'break-done';
+}
+
+/**
+ * Add minutes actually spent to a record or occurrence, as one undo step.
+ * The first time logged also moves a not-started activity to in-progress.
+ */
+export function logActualTime(id, minutes) {
+  const rec = getRecord(id);
+  if (!rec || !(minutes > 0)) return null;
+  return transaction(`Log ${minutes} min on "${rec.title}"`, () => updateRecord(id, {
+    actualMinutes: rec.actualMinutes + minutes,
+    ...(rec.status === 'not-started' ? { status: 'in-progress' } : {})
+  }));
+}
+
+// ── Dependencies ──────────────────────────────────────────────────────────
+
+const DONE_STATUSES = ['completed', 'canceled'];
+
+/**
+ * Prerequisites of a record (or occurrence) that are still open. A canceled
+ * prerequisite no longer holds anything up; ids of deleted records are ignored.
+ * @returns {object[]}
+ */
+export function getBlockers(rec) {
+  return (rec?.dependsOn || [])
+    .map(id => records.find(r => r.id === id))
+    .filter(p => p && !DONE_STATUSES.includes(p.status));
+}
+
+/** Open, and waiting on at least one open prerequisite. */
+export function isBlocked(rec) {
+  return !DONE_STATUSES.includes(rec.status) && getBlockers(rec).length > 0;
+}
+
+/**
+ * Would giving record `id` these prerequisites create a loop?
+ * @param {string|null} id - null for a record not created yet (which can't be in a loop)
+ * @param {string[]} dependsOn
+ * @returns {object[]|null} the records around the loop, starting and ending with `id`'s record
+ */
+export function findDependencyCycle(id, dependsOn) {
+  if (!id) return null;
+  const depsOf = rid => rid === id ? dependsOn : records.find(r => r.id === rid)?.dependsOn || [];
+  const seen = new Set();
+  const walk = (rid, path) => {
+    if (rid === id) return path;
+    if (seen.has(rid)) return null;
+    seen.add(rid);
+    for (const next of depsOf(rid)) {
+      const found = walk(next, [...path, next]);
+      if (found) return found;
+    }
+    return null;
+  };
+  for (const dep of dependsOn) {
+    const loop = walk(dep, [id, dep]);
+    if (loop) return loop.map(rid => records.find(r => r.id === rid)).filter(Boolean);
+  }
+  return null;
+}
+
+// ── Tags ──────────────────────────────────────────────────────────────────
+
+const NEW_TAG_COLOR     = '#64748b';
+const UNKNOWN_TAG_COLOR = '#94a3b8';
+
+export function getTags() { return _clone(settings.tags || []); }
+
+/** @returns {{id, label, color, parentId?}} the tag, or a grey stand-in named after the id */
+export function getTag(id) {
+  return (settings.tags || []).find(t => t.id === id) || { id, label: id, color: UNKNOWN_TAG_COLOR };
+}
+export function tagLabel(id) { return getTag(id).label; }
+
+/** @returns {string[]} the tag's id followed by its parent's, up to the top level */
+export function tagAncestors(id) {
+  const out = [];
+  for (let at = id; at && !out.includes(at); at = getTag(at).parentId) out.push(at);
+  return out;
+}
+
+/** @returns {string} e.g. "Academic › Physics" */
+export function tagPath(id) {
+  return tagAncestors(id).reverse().map(tagLabel).join(' › ');
+}
+
+/** @returns {Set<string>} the tag and every tag nested under it */
+export function tagDescendants(id) {
+  const out = new Set([id]);
+  const tags = settings.tags || [];
+  for (let grew = true; grew;) {
+    grew = false;
+    tags.forEach(t => { if (t.parentId && out.has(t.parentId) && !out.has(t.id)) { out.add(t.id); grew = true; } });
+  }
+  return out;
+}
+
+/** @returns {object|null} the tag with this label, ignoring case */
+export function findTagByLabel(label) {
+  const want = String(label).trim().toLowerCase();
+  return (settings.tags || []).find(t => t.label.toLowerCase() === want) || null;
+}
+
+/** @returns {number} how many records (a repeating series counts once) carry the tag itself */
+export function tagUsage(id) {
+  return records.filter(r => r.tagIds.includes(id) ||
+    Object.values(r.recurrence?.overrides || {}).some(o => o.tagIds?.includes(id))).length;
+}
+
+/**
+ * @param {string} label
+ * @param {string} [color]
+ * @param {string|null} [parentId] - nest the new tag under this one
+ * @returns {object} the new tag
+ */
+export function addTag(label, color = NEW_TAG_COLOR, parentId = null) {
+  return transaction(`Add tag "${label}"`, () => {
+    const base = tagIdFor(label) || 'tag';
+    let id = base;
+    for (let n = 2; (settings.tags || []).some(t => t.id === id); n++) id = `${base}-${n}`;
+    const tag = { id, label, color, protected: false, ...(parentId ? { parentId } : {}) };
+    updateSettings({ tags: [...(settings.tags || []), tag] });
+    return tag;
+  });
+}
+
+/**
+ * Rename, recolour, re-weight, re-nest or budget a tag. Records refer to the
+ * id, so they pick the change up without being rewritten. A null budget clears it.
+ * @param {string} id
+ * @param {{label?:string, color?:string, weight?:number, parentId?:string|null,
+ *   dailyBudget?:number|null, weeklyBudget?:number|null}} patch
+ * @returns {boolean} false when the tag is missing or would end up nested under itself
+ */
+export function updateTag(id, patch) {
+  const tag = (settings.tags || []).find(t => t.id === id);
+  if (!tag) return false;
+  if (patch.parentId && tagDescendants(id).has(patch.parentId)) return false;
+  const label = 'label' in patch && patch.label !== tag.label ? `Rename tag "${tag.label}" to "${patch.label}"`
+              : 'color' in patch    ? `Recolour tag "${tag.label}"`
+              : 'parentId' in patch ? `Move tag "${tag.label}"`
+              : 'weight' in patch   ? `Weight tag "${tag.label}"` : `Budget tag "${tag.label}"`;
+  transaction(label, () => updateSettings({ tags: settings.tags.map(t => {
+    if (t.id !== id) return t;
+    const { parentId, ...next } = { ...t, ...patch };
+    BUDGET_KEYS.forEach(k => { if (next[k] == null) delete next[k]; });
+    return parentId ? { ...next, parentId } : next;
+  }) }));
+  return true;
+}
+
+/**
+ * Move every record (and repeat override) from one tag to another, then
+ * remove the first tag — as one undo step. Saved views filtering by it follow,
+ * and tags nested under it move under the tag it was merged into (or, when
+ * that one is itself nested under it, up a level).
+ * Deleting a tag that is still in use is a merge into the chosen tag.
+ * @returns {number} how many records were moved
+ */
+export function mergeTags(fromId, intoId) {
+  const from = (settings.tags || []).find(t => t.id === fromId);
+  if (!from || from.protected || fromId === intoId) return 0;
+  const into   = getTag(intoId);
+  const adopt  = tagDescendants(fromId).has(intoId) ? from.parentId : intoId;
+  return transaction(`Merge tag "${from.label}" into "${into.label}"`, () => {
+    const moved = _retag(fromId, intoId);
+    updateSettings({
+      tags:       _unnest(settings.tags.filter(t => t.id !== fromId), fromId, adopt),
+      savedViews: (settings.savedViews || []).map(v => v.tagId === fromId ? { ...v, tagId: intoId } : v)
+    });
+    return moved;
+  });
+}
+
+/**
+ * Remove an unused tag; tags nested under it move up a level.
+ * @returns {boolean} false when records still use it
+ */
+export function deleteTag(id) {
+  const tag = (settings.tags || []).find(t => t.id === id);
+  if (!tag || tag.protected || tagUsage(id)) return false;
+  transaction(`Remove tag "${tag.label}"`, () => updateSettings({
+    tags:       _unnest(settings.tags.filter(t => t.id !== id), id, tag.parentId),
+    savedViews: (settings.savedViews || []).map(v => v.tagId === id ? { ...v, tagId: '' } : v)
+  }));
+  return true;
+}
+
+/**
+ * Tags that records refer to but settings lack. Each is taken from `known`
+ * (an import file's tag list) or recreated from the label older data kept
+ * as `tag` — so call this before normalising the records.
+ * @returns {object[]} tags to add with _addTags
+ */
+function _missingTags(list, known = []) {
+  const have    = new Set((settings.tags || []).map(t => t.id));
+  const missing = [];
+  const need    = (id, label) => {
+    if (!id || have.has(id)) return;
+    have.add(id);
+    const from = known.find(t => t?.id === id);
+    missing.push(from
+      ? { id, label: String(from.label || id), color: String(from.color || NEW_TAG_COLOR), protected: false,
+          ...(from.parentId ? { parentId: String(from.parentId) } : {}) }
+      : { id, label: label || id.replace(/-/g, ' ').replace(/\b\w/g, c => c.toUpperCase()), color: NEW_TAG_COLOR, protected: false });
+    if (from?.parentId) need(String(from.parentId));
+  };
+  list.forEach(r => {
+    (r.tagIds || []).forEach(id => need(id, r.tag && tagIdFor(r.tag) === id ? r.tag : ''));
+    Object.values(r.recurrence?.overrides || {}).forEach(o => (o.tagIds || []).forEach(id => need(id)));
+  });
+  return missing;
+}
+
+function _addTags(tags) {
+  if (!tags.length) return;
+  _trackSettings();
+  settings = { ...settings, tags: [...(settings.tags || []), ...tags] };
+  saveSettings(settings);
+}
+
+function _retag(fromId, intoId) {
+  const now  = new Date().toISOString();
+  const swap = ids => [...new Set(ids.map(id => id === fromId ? intoId : id))];
+  let moved = 0;
+  records = records.map(r => {
+    const overrides = r.recurrence?.overrides || {};
+    if (!r.tagIds.includes(fromId) && !Object.values(overrides).some(o => o.tagIds?.includes(fromId))) return r;
+    _track(r.id);
+    moved++;
+    const next = { ...r, tagIds: swap(r.tagIds), updatedAt: now };
+    if (r.recurrence) {
+      next.recurrence = { ...r.recurrence, overrides: Object.fromEntries(Object.entries(overrides)
+        .map(([d, o]) => [d, o.tagIds ? { ...o, tagIds: swap(o.tagIds) } : o])) };
+    }
+    return normalise(next);
+  });
+  if (moved) _markDirty();
+  return moved;
+}
+
+/** Tags nested under a removed one move under `parentId` (or to the top level). */
+function _unnest(tags, removedId, parentId) {
+  return tags.map(t => {
+    if (t.parentId !== removedId) return t;
+    const { parentId: _, ...rest } = t;
+    return parentId ? { ...rest, parentId } : rest;
+  });
+}
+
+// ── Saved views ───────────────────────────────────────────────────────────
+// A planner search with its case flag, tag filter and sort, kept under a name.
+
+/**
+ * Save a view as one undo step. A saved view with the same name, in any
+ * case, is replaced and keeps its id.
+ * @param {{name, query, caseSensitive, tagId, sortKey, sortDir}} fields
+ * @returns {object} the view as saved
+ */
+export function saveView(fields) {
+  const saved = settings.savedViews || [];
+  const clash = findSavedView(fields.name);
+  const view  = { id: clash?.id || `view_${Date.now()}`, ...fields };
+  transaction(`Save view "${view.name}"`, () => updateSettings({
+    savedViews: clash ? saved.map(v => v.id === clash.id ? view : v) : [...saved, view]
+  }));
+  return view;
+}
+
+/** @returns {object|null} the saved view called `name`, in any case */
+export function findSavedView(name) {
+  return (settings.savedViews || []).find(v => v.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/** Delete a saved view as one undo step. @returns {object|null} the view removed */
+export function deleteView(id) {
+  const view = (settings.savedViews || []).find(v => v.id === id);
+  if (!view) return null;
+  transaction(`Delete view "${view.name}"`, () => updateSettings({
+    savedViews: settings.savedViews.filter(v => v.id !== id)
+  }));
+  return view;
+}
+
+// ── Priority ──────────────────────────────────────────────────────────────
+
+export const PRIORITY_LEVELS = ['low', 'normal', 'high'];
+// Points each part of a priority score can add
+const PRIORITY_POINTS = { low: 0, normal: 1, high: 2 };
+const URGENT_POINTS   = 3;
+const DUE_POINTS      = 4;   // due today or earlier; halves a day out, thirds two days out…
+const EFFORT_POINTS   = 2;   // cap on hours-needed-per-day pressure
+
+/** @returns {number} the weight set for a tag in Settings (1 when unset) */
+export function tagWeight(id) {
+  const w = (settings.tags || []).find(t => t.id === id)?.weight;
+  return typeof w === 'number' && w >= 0 ? w : 1;
+}
+
+/**
+ * How pressing an activity is. Urgency, priority level, closeness of the due
+ * date and effort (hours per day left until it is due, so long tasks due soon
+ * rise) add up, then the total is multiplied by the highest weight among its tags.
+ * @returns {{score:number, weight:number, parts:{urgent, priority, due, effort}}}
+ */
+export function priorityScore(rec, today = todayISO()) {
+  const days  = Math.max(0, daysBetween(today, rec.dueDate));
+  const parts = {
+    urgent:   rec.urgent ? URGENT_POINTS : 0,
+    priority: PRIORITY_POINTS[rec.priority] ?? PRIORITY_POINTS.normal,
+    due:      DUE_POINTS / (1 + days),
+    effort:   Math.min(EFFORT_POINTS, rec.duration / (1 + days))
+  };
+  const weight = Math.max(...rec.tagIds.map(tagWeight));
+  const total  = Object.values(parts).reduce((s, p) => s + p, 0) * weight;
+  return { score: Math.round(total * 10) / 10, weight, parts };
+}
+
+/**
+ * Open activities and occurrences ranked by priorityScore. Today's come
+ * first; they already count towards today's cap, so the rest — overdue and
+ * upcoming work up to HORIZON_DAYS ahead — is fitted, best first, into what
+ * is left of it. Blocked activities are left out.
+ * @param {number} remaining - hours left today (stats.remaining)
+ * @param {number} [limit] - how many that don't fit to return
+ * @returns {{remaining:number, left:number, today:Array<{record, score, weight, parts}>,
+ *   fits:Array<{record, score, weight, parts}>, later:Array<{record, score, weight, parts}>}}
+ */
+export function computeNextUp(remaining, limit = 3) {
+  const today = todayISO();
+  const until = addDays(today, HORIZON_DAYS);
+  const ranked = [...records.filter(r => !r.recurrence), ...getOccurrences({ from: today, to: until }).filter(o => o.seriesId)]
+    .filter(r => !DONE_STATUSES.includes(r.status) && r.dueDate <= until && !isBlocked(r))
+    .map(r => ({ record: r, ...priorityScore(r, today) }))
+    .sort((a, b) => b.score - a.score || a.record.dueDate.localeCompare(b.record.dueDate));
+
+  let left = Math.max(0, remaining);
+  const fits = [], later = [];
+  ranked.filter(item => item.record.dueDate !== today).forEach(item => {
+    if (item.record.duration <= left) { fits.push(item); left -= item.record.duration; }
+    else if (later.length < limit) later.push(item);
+  });
+  return { remaining: Math.max(0, remaining), left, today: ranked.filter(item => item.record.dueDate === today), fits, later };
+}
+
+// ── Overdue ───────────────────────────────────────────────────────────────
+
+/** What happens to overdue one-off activities when the app starts. */
+export const OVERDUE_POLICIES = ['leave', 'today', 'next-free'];
+
+/** Still open after its due date: not started, or in progress but not finished in time. */
+export function isOverdue(rec, today = todayISO()) {
+  return rec.dueDate < today && !DONE_STATUSES.includes(rec.status);
+}
+
+/**
+ * Move overdue one-off activities as settings.overduePolicy says, in one undo
+ * step: 'today' puts them all on today; 'next-free' puts each on the first day
+ * from today with room under its cap (urgent ones first, then oldest),
+ * or today if nothing within HORIZON_DAYS has room. Occurrences of repeating
+ * activities stay where they are.
+ * @returns {Array<{id, title, from, to}>} the moves made
+ */
+export function applyOverduePolicy(today = todayISO()) {
+  const policy = settings.overduePolicy;
+  if (policy !== 'today' && policy !== 'next-free') return [];
+  const overdue = records.filter(r => !r.recurrence && isOverdue(r, today))
+    .sort((a, b) => (b.urgent - a.urgent) || a.dueDate.localeCompare(b.dueDate));
+  if (!overdue.length) return [];
+
+  const load = {};
+  getOccurrences({ from: today }).filter(r => r.status !== 'canceled')
+    .forEach(r => { load[r.dueDate] = (load[r.dueDate] || 0) + r.duration; });
+
+  const moves = overdue.map(r => {
+    let to = today;
+    if (policy === 'next-free') {
+      for (let d = today; d <= addDays(today, HORIZON_DAYS); d = addDays(d, 1)) {
+        if ((load[d] || 0) + r.duration <= capFor(d)) { to = d; break; }
+      }
+    }
+    load[to] = (load[to] || 0) + r.duration;
+    return { id: r.id, title: r.title, from: r.dueDate, to };
+  });
+  transaction(`Roll over ${moves.length} overdue activit${moves.length === 1 ? 'y' : 'ies'}`, () => {
+    moves.forEach(m => updateRecord(m.id, { dueDate: m.to }));
+  });
+  return moves;
+}
+
+// ── Capacity ──────────────────────────────────────────────────────────────
+
+const BUDGET_KEYS = ['dailyBudget', 'weeklyBudget'];
+
+/** @returns {number} hours available on a date: its weekday's cap when set, else the daily cap */
+export function capFor(dateStr) {
+  const own = (settings.weekdayCaps || [])[weekdayOf(dateStr)];
+  return own > 0 ? own : (settings.dailyCap || 8);
+}
+
+/**
+ * Set the daily cap and the weekday caps as one undo step, named after what
+ * changed. @returns {boolean} false when neither did
+ */
+export function updateCaps(dailyCap, weekdayCaps) {
+  const daily    = dailyCap !== settings.dailyCap;
+  const weekdays = JSON.stringify(weekdayCaps) !== JSON.stringify(settings.weekdayCaps);
+  if (!daily && !weekdays) return false;
+  const label = !weekdays ? 'Change daily cap' : daily ? 'Change daily and weekday caps' : 'Change weekday caps';
+  transaction(label, () => updateSettings({ dailyCap, weekdayCaps }));
+  return true;
 }
 
-export function replaceAllRecords(newRecords) {
-  records = newRecords.map(normalise);
-  saveRecords(records);
+/**
+ * Limits that saving `rec` would break: the cap of its day, and the daily or
+ * weekly (Monday–Sunday) hour budget of any of its tags or the tags they are
+ * nested under. Canceled activities and the version being replaced don't count.
+ * A repeating activity is checked on each date it has within HORIZON_DAYS
+ * from today or its start: the first breach of each limit is reported, with
+ * `more` counting the later dates that break it too.
+ * @param {object} rec - the record as it would be saved
+ * @param {string|null} [ignoreId] - id of the record (or occurrence) being edited
+ * @returns {Array<{kind:'cap'|'day'|'week', label:string, hrs:number, limit:number, more:number}>}
+ */
+export function budgetOverruns(rec, ignoreId = null) {
+  if (rec.status === 'canceled') return [];
+  const counted = r => r.status !== 'canceled' && r.id !== ignoreId;
+  // An occurrence carries its series' rule but is saved for its own date only
+  const rule    = !rec.seriesId && rec.recurrence && normaliseRecurrence(rec.recurrence);
+  if (!rule) {
+    const from = startOfWeek(rec.dueDate);
+    return _overrunsOn(rec, getOccurrences({ from, to: addDays(from, 6) }).filter(r =>
+      counted(r) && !(r.seriesId === ignoreId && r.dueDate === rec.dueDate)));
+  }
+
+  // The series' dates from here on replace the ones it has now
+  const seriesId = parseOccurrenceId(ignoreId)?.seriesId || ignoreId;
+  const first    = rec.dueDate > todayISO() ? rec.dueDate : todayISO();
+  const dates    = occurrenceDates(rec.dueDate, rule, first, addDays(first, HORIZON_DAYS - 1));
+  if (!dates.length) return [];
+  const mine   = dates.map(d => ({ ...rec, recurrence: null, dueDate: d }));
+  const others = getOccurrences({ from: startOfWeek(dates[0]), to: addDays(startOfWeek(dates.at(-1)), 6) })
+    .filter(r => counted(r) && !(seriesId && r.seriesId === seriesId && r.dueDate >= rec.dueDate));
+  const found = new Map();
+  mine.forEach(occ => _overrunsOn(occ, [...others, ...mine.filter(m => m !== occ)]).forEach(o => {
+    const key = o.kind === 'cap' ? 'cap' : `${o.kind}:${o.label}`;
+    if (found.has(key)) found.get(key).more++;
+    else found.set(key, o);
+  }));
+  return [...found.values()];
+}
+
+/** budgetOverruns for one dated activity among `others`, the activities that count beside it. */
+function _overrunsOn(rec, others) {
+  const from = startOfWeek(rec.dueDate), to = addDays(from, 6);
+  const week = others.filter(r => r.dueDate >= from && r.dueDate <= to);
+  const day  = week.filter(r => r.dueDate === rec.dueDate);
+  const hoursIn = (list, ids) => rec.duration +
+    list.filter(r => !ids || r.tagIds.some(t => ids.has(t))).reduce((s, r) => s + r.duration, 0);
+
+  const out = [];
+  const cap = capFor(rec.dueDate);
+  if (hoursIn(day) > cap) out.push({ kind: 'cap', label: rec.dueDate, hrs: hoursIn(day), limit: cap, more: 0 });
+  const budgeted = [...new Set(normaliseTagIds(rec.tagIds).flatMap(tagAncestors))];
+  budgeted.forEach(id => {
+    const tag = (settings.tags || []).find(t => t.id === id);
+    if (!tag) return;
+    const ids = tagDescendants(id);
+    if (tag.dailyBudget > 0 && hoursIn(day, ids) > tag.dailyBudget)
+      out.push({ kind: 'day', label: tagPath(id), hrs: hoursIn(day, ids), limit: tag.dailyBudget, more: 0 });
+    if (tag.weeklyBudget > 0 && hoursIn(week, ids) > tag.weeklyBudget)
+      out.push({ kind: 'week', label: tagPath(id), hrs: hoursIn(week, ids), limit: tag.weeklyBudget, more: 0 });
+  });
+  return out;
+}
+
+// ── Recurring series ──────────────────────────────────────────────────────
+
+// Fields an occurrence can never override — they belong to the series.
+// Prerequisites are among them: editing them on one occurrence changes the series.
+const SERIES_FIELDS = ['id', 'recurrence', 'createdAt', 'updatedAt', 'seriesId', 'occurrence', 'dependsOn'];
+
+/** "This occurrence" edit: store only the fields that differ from the series. */
+function updateOccurrence(seriesId, date, data) {
+  const series = records.find(r => r.id === seriesId);
+  if (!series?.recurrence) return null;
+  const current  = buildOccurrence(series, date);
+  const incoming = _autoStatus(current, normalise({ ...current, ...data }));
+  const override = {};
+  for (const [k, v] of Object.entries(incoming)) {
+    if (SERIES_FIELDS.includes(k)) continue;
+    const base = k === 'dueDate' ? date : series[k];
+    if (JSON.stringify(v) !== JSON.stringify(base)) override[k] = v;
+  }
+  const overrides = { ...series.recurrence.overrides };
+  if (Object.keys(override).length) overrides[date] = override;
+  else delete overrides[date];
+  const patch = { recurrence: { ...series.recurrence, overrides } };
+  if (JSON.stringify(incoming.dependsOn) !== JSON.stringify(series.dependsOn)) patch.dependsOn = incoming.dependsOn;
+  const updated = updateRecord(seriesId, patch);
+  return buildOccurrence(updated, date);
+}
+
+function skipOccurrence(seriesId, date) {
+  const series = records.find(r => r.id === seriesId);
+  if (!series?.recurrence) return;
+  const overrides = { ...series.recurrence.overrides };
+  delete overrides[date];
+  updateRecord(seriesId, {
+    recurrence: { ...series.recurrence, exdates: [...series.recurrence.exdates, date], overrides }
+  });
+}
+
+/**
+ * "This and following" edit. The original series ends the day before the
+ * occurrence and a new record carries `data` (including its own repeat rule,
+ * or none) from that date on. Editing from the first occurrence updates the
+ * whole series in place.
+ * @returns {object} the record now holding the occurrence and later ones
+ */
+export function updateSeriesFrom(id, data) {
+  const occ    = parseOccurrenceId(id);
+  const series = occ && records.find(r => r.id === occ.seriesId);
+  if (!series?.recurrence) return updateRecord(id, data);
+
+  const { head, tail } = splitRecurrence(series.dueDate, series.recurrence, occ.date);
+  const sameCount = Number(data.recurrence?.count) === series.recurrence.count;
+  const rule = data.recurrence
+    ? { ...data.recurrence,
+        // an unchanged count keeps counting from the original start
+        count: sameCount ? tail.count : data.recurrence.count,
+        exdates: tail.exdates, overrides: tail.overrides }
+    : null;
+
+  return transaction('Edit series', () => {
+    if (occ.date === series.dueDate) {
+      return updateRecord(series.id, { ...data, recurrence: rule });
+    }
+    updateRecord(series.id, { recurrence: head });
+    const { createdAt, updatedAt, ...rest } = series;
+    return addRecord({ ...rest, ...data, dueDate: data.dueDate || occ.date, recurrence: rule });
+  });
+}
+
+// ── Restore points ────────────────────────────────────────────────────────
+
+// Settings a restore or another tab leaves alone: they describe this device, not the data
+const LOCAL_SETTINGS = ['activeView', 'calendarView', 'lastSyncAt', 'snapshotRetention', 'focus'];
+
+/** Comparable form of the settings every device shares. */
+function _sharedSettings(s) {
+  return JSON.stringify(Object.keys(s).sort().filter(k => !LOCAL_SETTINGS.includes(k)).map(k => [k, s[k]]));
+}
+
+/** @returns {{id:string, date:string, createdAt:string, recordCount:number}[]} newest first */
+export function getSnapshots() {
+  return _snapshots.map(s => ({ id: s.id, date: s.date, createdAt: s.createdAt, recordCount: s.records.length }));
+}
+
+/**
+ * What restoring a snapshot would do to the current data.
+ * @returns {{added:object[], removed:object[], changed:{record:object, fields:string[]}[], settingsChanged:boolean}|null}
+ *   added are brought back, removed are dropped, changed are reverted
+ */
+export function diffSnapshot(id) {
+  const snap = _readSnapshot(id);
+  if (!snap) return null;
+  const current = new Map(records.map(r => [r.id, r]));
+  const saved   = new Set(snap.records.map(r => r.id));
+  const changed = [];
+  snap.records.forEach(r => {
+    const mine = current.get(r.id);
+    const fields = mine ? MERGE_FIELDS.filter(k => JSON.stringify(mine[k]) !== JSON.stringify(r[k])) : [];
+    if (fields.length) changed.push({ record: r, fields });
+  });
+  return {
+    added:   snap.records.filter(r => !current.has(r.id)),
+    removed: records.filter(r => !saved.has(r.id)),
+    changed,
+    settingsChanged: _sharedSettings({ ...settings, ...snap.settings }) !== _sharedSettings(settings)
+  };
+}
+
+/** Put records and settings back as they were in a snapshot, as one undo step. */
+export function restoreSnapshot(id) {
+  const snap = _readSnapshot(id);
+  if (!snap) return false;
+  transaction(`Restore ${snap.date}`, () => {
+    [...records, ...snap.records].forEach(r => _track(r.id));
+    records = snap.records;
+    _syncIdCounter();
+    _markDirty();
+    const keep = Object.fromEntries(LOCAL_SETTINGS.map(k => [k, settings[k]]));
+    _trackSettings();
+    settings = { ...settings, ...snap.settings, ...keep };
+    saveSettings(settings);
+    _addTags(_missingTags(records));
+  });
+  return true;
+}
+
+/** Take today's snapshot if there is none yet, then drop those past retention. */
+function _dailySnapshot() {
+  const date = todayISO();
+  if (_snapshots[0]?.date !== date) {
+    const snap = {
+      id: `snap_${date}`, date, createdAt: new Date().toISOString(), version: SCHEMA_VERSION,
+      records: _clone(records), settings: _clone(settings)
+    };
+    _snapshots.unshift(snap);
+    saveSnapshot(snap);
+  }
+  _pruneSnapshots();
+}
+
+function _pruneSnapshots() {
+  const keep = Math.max(1, settings.snapshotRetention || 7);
+  deleteSnapshots(_snapshots.splice(keep).map(s => s.id));
+}
+
+/** A snapshot's data upgraded to the current schema. */
+function _readSnapshot(id) {
+  const snap = _snapshots.find(s => s.id === id);
+  if (!snap) return null;
+  return {
+    date:     snap.date,
+    records:  migrateRecords(snap.records, snap.version).map(normalise),
+    settings: migrateSettings(snap.settings, snap.version)
+  };
 }
 
 // ── Settings ──────────────────────────────────────────────────────────────
 
 export function getSettings()        { return { ...settings }; }
 export function getSetting(key)      { return settings[key]; }
-export function updateSettings(patch) {
-  settings = { ...settings, ...patch };
-  saveSettings(settings);
+/**
+ * Merge `patch` into settings. Pass `{ history: false }` for preferences
+ * (view state and the like) that should not become undo steps.
+ */
+export function updateSettings(patch, { history = true } = {}) {
+  const apply = () => {
+    settings = { ...settings, ...patch };
+    // Other tabs keep their own LOCAL_SETTINGS, so e.g. a focus round ticking over is not news to them
+    saveSettings(settings, { broadcast: Object.keys(patch).some(k => !LOCAL_SETTINGS.includes(k)) });
+    if ('snapshotRetention' in patch) _pruneSnapshots();
+  };
+  if (!history) { apply(); return; }
+  transaction('Change settings', () => { _trackSettings(); apply(); });
+}
+
+// ── History (undo / redo) ─────────────────────────────────────────────────
+
+/**
+ * Run `fn` as one undo step. Every record and settings mutation made inside
+ * it — including nested transactions — is undone together. Entries store the
+ * before/after copy of each touched record only, so undo never disturbs
+ * records the step did not change.
+ * @param {string} label - shown to the user, e.g. 'Delete "Gym Session"'
+ * @param {Function} fn
+ */
+export function transaction(label, fn) {
+  if (_pending) return fn();
+  // The day's restore point holds the data as it was before the first change
+  _dailySnapshot();
+  _pending = { label, records: new Map(), settings: undefined, dirty: false };
+  try {
+    return fn();
+  } finally {
+    const entry = _pending;
+    _pending = null;
+    // Records are written once per step, and only the ones it touched
+    if (entry.dirty) saveRecords(records, [...entry.records.keys()]);
+    _commitHistory(entry);
+  }
+}
+
+export function canUndo()       { return _undoStack.length > 0; }
+export function canRedo()       { return _redoStack.length > 0; }
+export function peekUndoLabel() { return _undoStack.at(-1)?.label || null; }
+export function peekRedoLabel() { return _redoStack.at(-1)?.label || null; }
+
+/** @returns {string|null} label of the undone step */
+export function undo() {
+  const entry = _undoStack.pop();
+  if (!entry) return null;
+  _restore(entry.before, entry.settingsBefore);
+  _redoStack.push(entry);
+  return entry.label;
+}
+
+/** @returns {string|null} label of the redone step */
+export function redo() {
+  const entry = _redoStack.pop();
+  if (!entry) return null;
+  _restore(entry.after, entry.settingsAfter);
+  _undoStack.push(entry);
+  return entry.label;
+}
+
+function _track(id) {
+  if (!_pending || _pending.records.has(id)) return;
+  _pending.records.set(id, _clone(records.find(r => r.id === id) || null));
 }
 
+function _markDirty() {
+  if (_pending) _pending.dirty = true;
+  else saveRecords(records);
+}
+
+function _forgetHistory(ids) {
+  if (!ids.length) return;
+  const touches = entry => ids.some(id => entry.before.has(id));
+  _undoStack = _undoStack.filter(e => !touches(e));
+  _redoStack = _redoStack.filter(e => !touches(e));
+}
+
+// Settings steps would undo the other tab's change along with ours
+function _forgetSettingsHistory() {
+  const touches = entry => entry.settingsBefore !== undefined;
+  _undoStack = _undoStack.filter(e => !touches(e));
+  _redoStack = _redoStack.filter(e => !touches(e));
+}
+
+function _trackSettings() {
+  if (_pending && _pending.settings === undefined) _pending.settings = _clone(settings);
+}
+
+function _commitHistory(entry) {
+  const before = entry.records;
+  const after  = new Map([...before.keys()].map(id => [id, _clone(records.find(r => r.id === id) || null)]));
+  const settingsChanged = entry.settings !== undefined &&
+                          JSON.stringify(entry.settings) !== JSON.stringify(settings);
+  for (const id of before.keys()) {
+    if (JSON.stringify(before.get(id)) === JSON.stringify(after.get(id))) { before.delete(id); after.delete(id); }
+  }
+  if (!before.size && !settingsChanged) return;
+  _undoStack.push({
+    label:          entry.label,
+    before, after,
+    settingsBefore: settingsChanged ? entry.settings : undefined,
+    settingsAfter:  settingsChanged ? _clone(settings) : undefined
+  });
+  if (_undoStack.length > HISTORY_LIMIT) _undoStack.shift();
+  _redoStack = [];
+}
+
+function _restore(recordMap, settingsSnapshot) {
+  recordMap.forEach((rec, id) => {
+    const idx = records.findIndex(r => r.id === id);
+    if (!rec) { if (idx !== -1) records.splice(idx, 1); }
+    else if (idx !== -1) records[idx] = _clone(rec);
+    else records.push(_clone(rec));
+  });
+  if (recordMap.size) saveRecords(records, [...recordMap.keys()]);
+  if (settingsSnapshot !== undefined) {
+    settings = _clone(settingsSnapshot);
+    saveSettings(settings);
+  }
+}
+
+function _clone(v) { return v == null ? v : JSON.parse(JSON.stringify(v)); }
+
 // ── Stats ──────────────────────────────────────────────────────────────────
 
 export function computeStats() {
-  const all       = records;
-  const today     = new Date().toISOString().split('T')[0];
+  const all       = getOccurrences();
+  const today     = todayISO();
   const todayRecs = all.filter(r => r.dueDate === today);
 
   // All-time
@@ -83,34 +1195,323 @@ export function computeStats() {
   const todayCompleted = todayRecs.filter(r => r.status === 'completed').length;
   const todayHrs       = todayRecs.reduce((s, r) => s + r.duration, 0);
 
-  // Top tag
+  // Top tag — an activity counts once for each of its tags and every tag they are nested under
   const tagCounts = {};
-  all.forEach(r => { tagCounts[r.tag] = (tagCounts[r.tag] || 0) + 1; });
+  all.forEach(r => {
+    new Set(r.tagIds.flatMap(tagAncestors)).forEach(id => {
+      const t = tagLabel(id);
+      tagCounts[t] = (tagCounts[t] || 0) + 1;
+    });
+  });
   const topTag = Object.entries(tagCounts).sort((a,b) => b[1]-a[1])[0]?.[0] || '—';
 
   // Urgent tasks (not completed/canceled)
   const urgentTasks = all.filter(r => r.urgent && r.status !== 'completed' && r.status !== 'canceled');
+  // Overdue — still open after the due date, oldest first
+  const overdueTasks = all.filter(r => isOverdue(r, today)).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
 
   // Weekly cadence — Mon through Sun of current week
   const weekly = buildWeeklyCadence(all);
 
+  // Planned vs actual, over activities with focus time logged
+  const tracked    = all.filter(r => r.actualMinutes > 0);
+  const estimation = _estimation(tracked);
+  const byTag      = {};
+  tracked.forEach(r => r.tagIds.forEach(id => { (byTag[tagLabel(id)] ||= []).push(r); }));
+  const estimationByTag = Object.entries(byTag)
+    .map(([tag, recs]) => ({ tag, ..._estimation(recs) }))
+    .sort((a, b) => b.actualHrs - a.actualHrs);
+
   // Cap
-  const cap       = settings.dailyCap || 8;
+  const cap       = capFor(today);
   const remaining = cap - todayHrs;
 
   // Overuse % for stats page
   const dayTotals = {};
-  all.forEach(r => { dayTotals[r.dueDate] = (dayTotals[r.dueDate] || 0) + r.duration; });
+  all.filter(r => r.status !== 'canceled').forEach(r => { dayTotals[r.dueDate] = (dayTotals[r.dueDate] || 0) + r.duration; });
   const trackedDays = Object.keys(dayTotals).length || 1;
-  const overDays    = Object.values(dayTotals).filter(h => h > cap).length;
+  const overDays    = Object.keys(dayTotals).filter(d => dayTotals[d] > capFor(d)).length;
   const overPerc    = Math.round((overDays / trackedDays) * 100);
+  // Upcoming over-cap days (today onwards) — candidates for rebalancing
+  const overDates   = Object.keys(dayTotals).filter(d => d >= today && dayTotals[d] > capFor(d)).sort();
 
   return {
     total, completed, sumHrs,
     todayTotal, todayCompleted, todayHrs,
-    topTag, tagCounts, urgentTasks,
-    weekly, cap, remaining, overPerc,
-    todayRecs
+    topTag, tagCounts, urgentTasks, overdueTasks,
+    weekly, cap, remaining, overPerc, overDates,
+    todayRecs, estimation, estimationByTag
+  };
+}
+
+/**
+ * Planned and actual hours for a set of activities. Accuracy only counts
+ * completed ones — work still under way hasn't missed its estimate yet. It is
+ * 100% when actual matches plan and falls by the relative miss either way
+ * (floored at 0); null until something is completed.
+ * @returns {{count:number, plannedHrs:number, actualHrs:number, accuracy:number|null}}
+ */
+function _estimation(recs) {
+  const hours = list => [
+    list.reduce((s, r) => s + r.duration, 0),
+    list.reduce((s, r) => s + r.actualMinutes, 0) / 60
+  ];
+  const [plannedHrs, actualHrs] = hours(recs);
+  const [plannedDone, actualDone] = hours(recs.filter(r => r.status === 'completed'));
+  const accuracy = plannedDone > 0
+    ? Math.max(0, Math.round((1 - Math.abs(actualDone - plannedDone) / plannedDone) * 100)) : null;
+  return { count: recs.length, plannedHrs, actualHrs, accuracy };
+}
+
+// ── Analytics ─────────────────────────────────────────────────────────────
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Load and completion history between two dates for the Statistics page.
+ * Canceled activities add no hours and don't count towards completion.
+ * Weeks start on Monday; the first and last week may be partial.
+ * @param {{from:string, to:string}} range - inclusive
+ * @returns {{from, to, cap,
+ *   days:{date, hrs, count, cap, load}[],
+ *   weeks:{start, hrs, byTag:Object<string, number>, total, completed, rate:number|null}[],
+ *   tagTotals:{tag, hrs}[], weekdays:{label, hrs, days, avg}[], busiest:string|null,
+ *   totals:{hrs, count, completed, rate:number|null, overDays}}}
+ *   cap is the general daily cap and each day's own cap may differ (see capFor);
+ *   load is hours as a share of the day's cap; rate is a percentage
+ */
+export function computeAnalytics({ from, to }) {
+  const cap  = settings.dailyCap || 8;
+  const live = getOccurrences({ from, to }).filter(r => r.status !== 'canceled');
+
+  const days = [], dayAt = {};
+  for (let d = from; d <= to; d = addDays(d, 1)) dayAt[d] = days.push({ date: d, hrs: 0, count: 0, cap: capFor(d), load: 0 }) - 1;
+  const weeks = [], weekAt = {};
+  for (let w = startOfWeek(from); w <= to; w = addDays(w, 7)) {
+    weekAt[w] = weeks.push({ start: w, hrs: 0, byTag: {}, total: 0, completed: 0, rate: null }) - 1;
+  }
+
+  const tagHrs = {};
+  live.forEach(r => {
+    const day = days[dayAt[r.dueDate]];
+    const wk  = weeks[weekAt[startOfWeek(r.dueDate)]];
+    if (!day || !wk) return;
+    day.hrs += r.duration;
+    day.count++;
+    wk.hrs += r.duration;
+    const tag = tagLabel(r.tagIds[0]);   // stacked hours must add up, so only the first tag
+    wk.byTag[tag] = (wk.byTag[tag] || 0) + r.duration;
+    wk.total++;
+    if (r.status === 'completed') wk.completed++;
+    tagHrs[tag] = (tagHrs[tag] || 0) + r.duration;
+  });
+  days.forEach(d => { d.load = d.hrs / d.cap; });
+  weeks.forEach(w => { w.rate = w.total ? Math.round((w.completed / w.total) * 100) : null; });
+
+  // Average hours on each weekday, counting empty days too
+  const weekdays = WEEKDAY_LABELS.map(label => ({ label, hrs: 0, days: 0, avg: 0 }));
+  days.forEach(d => { const w = weekdays[(weekdayOf(d.date) + 6) % 7]; w.hrs += d.hrs; w.days++; });
+  weekdays.forEach(w => { w.avg = w.days ? w.hrs / w.days : 0; });
+  const top = weekdays.reduce((a, b) => (b.avg > a.avg ? b : a));
+
+  const count     = weeks.reduce((n, w) => n + w.total, 0);
+  const completed = weeks.reduce((n, w) => n + w.completed, 0);
+  return {
+    from, to, cap, days, weeks, weekdays,
+    tagTotals: Object.entries(tagHrs).map(([tag, hrs]) => ({ tag, hrs })).sort((a, b) => b.hrs - a.hrs),
+    busiest:   top.avg > 0 ? top.label : null,
+    totals: {
+      hrs: days.reduce((s, d) => s + d.hrs, 0),
+      count, completed,
+      rate: count ? Math.round((completed / count) * 100) : null,
+      overDays: days.filter(d => d.hrs > d.cap).length
+    }
+  };
+}
+
+// ── Weekly review ─────────────────────────────────────────────────────────
+
+/**
+ * Summary of one Monday–Sunday week. Slipped activities were due that week
+ * (before today) and are still open; carried-over ones are one-off activities
+ * due before the week began and still open. Canceled activities are left out.
+ * @param {string} [weekStart] - any day of the week; defaults to last week
+ * @returns {{from, to, cap, totals:{plannedHrs, completedHrs, count, completed, rate:number|null},
+ *   days:Array<{date, hrs}>, overDays:Array<{date, hrs}>,
+ *   byTag:Array<{tag, plannedHrs, completedHrs, count, completed}>,
+ *   slipped:Array, carriedOver:Array}} tags are given by label; slipped and
+ *   carried-over activities carry theirs as `tag`
+ */
+export function computeWeeklyReview(weekStart = addDays(todayISO(), -7)) {
+  const from  = startOfWeek(weekStart);
+  const to    = addDays(from, 6);
+  const today = todayISO();
+  const cap   = settings.dailyCap || 8;
+  const live  = getOccurrences({ from, to }).filter(r => r.status !== 'canceled');
+  const open  = r => !DONE_STATUSES.includes(r.status);
+  const byDue = (a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title);
+  const labelled = r => ({ ...r, tag: r.tagIds.map(tagLabel).join(', ') });
+
+  const days = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    days.push({ date: d, cap: capFor(d), hrs: live.filter(r => r.dueDate === d).reduce((s, r) => s + r.duration, 0) });
+  }
+
+  const tags = {};
+  live.forEach(r => r.tagIds.forEach(id => {
+    const t = tags[id] ||= { tag: tagLabel(id), plannedHrs: 0, completedHrs: 0, count: 0, completed: 0 };
+    t.plannedHrs += r.duration;
+    t.count++;
+    if (r.status === 'completed') { t.completedHrs += r.duration; t.completed++; }
+  }));
+
+  const done = live.filter(r => r.status === 'completed');
+  return {
+    from, to, cap, days,
+    overDays: days.filter(d => d.hrs > d.cap),
+    byTag:    Object.values(tags).sort((a, b) => b.plannedHrs - a.plannedHrs),
+    slipped:  live.filter(r => open(r) && r.dueDate < today).sort(byDue).map(labelled),
+    carriedOver: records.filter(r => !r.recurrence && open(r) && r.dueDate < from).sort(byDue).map(labelled),
+    totals: {
+      plannedHrs:   live.reduce((s, r) => s + r.duration, 0),
+      completedHrs: done.reduce((s, r) => s + r.duration, 0),
+      count: live.length,
+      completed: done.length,
+      rate: live.length ? Math.round((done.length / live.length) * 100) : null
+    }
+  };
+}
+
+/**
+ * Move unfinished one-off activities to the same weekday of the week after
+ * `weekStart` (today at the earliest), as a single undo step. Occurrences of
+ * repeating activities stay where they are.
+ * @param {string[]} ids
+ * @param {string} weekStart - any day of the reviewed week
+ * @returns {number} how many activities moved
+ */
+export function rollOverUnfinished(ids, weekStart) {
+  const next  = addDays(startOfWeek(weekStart), 7);
+  const today = todayISO();
+  const recs  = ids.map(id => records.find(r => r.id === id))
+    .filter(r => r && !r.recurrence && !DONE_STATUSES.includes(r.status));
+  if (!recs.length) return 0;
+  transaction(`Roll over ${recs.length} activit${recs.length === 1 ? 'y' : 'ies'}`, () => {
+    recs.forEach(r => {
+      const due = addDays(next, (weekdayOf(r.dueDate) + 6) % 7);
+      updateRecord(r.id, { dueDate: due < today ? today : due });
+    });
+  });
+  return recs.length;
+}
+
+// ── Rebalancing ───────────────────────────────────────────────────────────
+
+/**
+ * Propose moves that bring over-cap days back under their cap (see capFor).
+ * Only non-urgent, not-started activities move, and only to an earlier day
+ * (today at the soonest) so nothing lands after its due date. The nearest day
+ * with enough spare capacity wins. Nothing is changed — see applyRebalance.
+ * @param {string|null} onlyDate - limit the plan to one overloaded day
+ * @returns {{moves:Array, days:Object, unresolved:Array}}
+ *   days maps each affected date to { before, after } hours
+ */
+export function planRebalance(onlyDate = null) {
+  const today = todayISO();
+  const recs  = getOccurrences({ from: today }).filter(r => r.status !== 'canceled');
+
+  const load = {};
+  recs.forEach(r => { load[r.dueDate] = (load[r.dueDate] || 0) + r.duration; });
+  const before = { ...load };
+
+  const overDates = Object.keys(load)
+    .filter(d => load[d] > capFor(d) && (!onlyDate || d === onlyDate))
+    .sort();
+
+  const moves = [];
+  overDates.forEach(date => {
+    const movable = recs
+      .filter(r => r.dueDate === date && r.status === 'not-started' && !r.urgent)
+      .sort((a, b) => b.duration - a.duration);
+    for (const r of movable) {
+      if (load[date] <= capFor(date)) break;
+      for (let t = addDays(date, -1); t >= today; t = addDays(t, -1)) {
+        if ((load[t] || 0) + r.duration <= capFor(t)) {
+          moves.push({ id: r.id, title: r.title, duration: r.duration, from: date, to: t });
+          load[date] -= r.duration;
+          load[t]     = (load[t] || 0) + r.duration;
+          break;
+        }
+      }
+    }
+  });
+
+  const days = {};
+  moves.forEach(m => [m.from, m.to].forEach(d => { days[d] = { before: before[d] || 0, after: load[d] }; }));
+  const unresolved = overDates.filter(d => load[d] > capFor(d)).map(d => ({ date: d, over: load[d] - capFor(d) }));
+  return { moves, days, unresolved };
+}
+
+/** Apply a plan from planRebalance as a single undo step. */
+export function applyRebalance(moves) {
+  transaction(`Rebalance ${moves.length} activit${moves.length === 1 ? 'y' : 'ies'}`, () => {
+    moves.forEach(m => updateRecord(m.id, { dueDate: m.to }));
+  });
+}
+
+/**
+ * Hour-by-hour layout of one day for the timeline view.
+ * Timed activities become blocks (with a lane index so overlapping blocks sit
+ * side by side); the rest are listed as unscheduled. Free gaps are measured
+ * inside the DAY_START_HOUR–DAY_END_HOUR window. Canceled activities are left out.
+ */
+export function computeDayTimeline(dateStr) {
+  const recs = getOccurrences({ from: dateStr, to: dateStr }).filter(r => r.status !== 'canceled');
+  const cap  = capFor(dateStr);
+
+  const blocks = recs.filter(r => r.startTime)
+    .map(r => {
+      const start = timeToMinutes(r.startTime);
+      return { rec: r, start, end: Math.min(start + Math.round(r.duration * 60), 24 * 60), lane: 0, overlaps: false };
+    })
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+
+  // Greedy lane assignment + overlap flags
+  const laneEnds = [];
+  blocks.forEach((b, i) => {
+    let lane = laneEnds.findIndex(end => end <= b.start);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = b.end;
+    b.lane = lane;
+    for (let j = 0; j < i; j++) {
+      if (blocks[j].end > b.start) { blocks[j].overlaps = true; b.overlaps = true; }
+    }
+  });
+
+  // Free gaps between busy intervals inside the waking-day window
+  const gaps = [];
+  let cursor = DAY_START_HOUR * 60;
+  const dayEnd = DAY_END_HOUR * 60;
+  blocks.forEach(b => {
+    if (b.start > cursor && cursor < dayEnd) gaps.push({ start: cursor, end: Math.min(b.start, dayEnd) });
+    cursor = Math.max(cursor, b.end);
+  });
+  if (cursor < dayEnd) gaps.push({ start: cursor, end: dayEnd });
+
+  const totalHrs = recs.reduce((s, r) => s + r.duration, 0);
+  const first    = blocks.length ? Math.floor(blocks[0].start / 60) : DAY_START_HOUR;
+  const last     = blocks.length ? Math.ceil(Math.max(...blocks.map(b => b.end)) / 60) : DAY_END_HOUR;
+
+  return {
+    blocks,
+    unscheduled: recs.filter(r => !r.startTime),
+    gaps: gaps.filter(g => g.end - g.start >= 30)
+              .map(g => ({ ...g, from: minutesToTime(g.start), to: minutesToTime(g.end), hrs: (g.end - g.start) / 60 })),
+    lanes:     Math.max(1, laneEnds.length),
+    startHour: Math.min(DAY_START_HOUR, first),
+    endHour:   Math.max(DAY_END_HOUR, last),
+    totalHrs, cap,
+    remaining: cap - totalHrs
   };
 }
 
@@ -134,6 +1535,7 @@ function buildWeeklyCadence(all) {
       dayNum: d.getDate(),
       hrs,
       count,
+      cap: capFor(dateStr),
       isToday: dateStr === new Date().toISOString().split('T')[0]
     });
   }
@@ -142,6 +1544,14 @@ function buildWeeklyCadence(all) {
 
 // ── Helpers ───────────────────────────────────────────────────────────────
 
+// Never moves backwards, so ids freed by an undone import are not reused.
+function _syncIdCounter(list = records) {
+  _idCounter = list.reduce((max, r) => {
+    const n = parseInt(r.id.replace(/\D/g, ''), 10) || 0;
+    return Math.max(max, n);
+  }, _idCounter);
+}
+
 function generateId() {
   return `rec_${String(++_idCounter).padStart(4, '0')}`;
 }
@@ -152,13 +1562,44 @@ function normalise(r) {
     id:        r.id        || generateId(),
     title:     String(r.title  || '').trim(),
     dueDate:   String(r.dueDate || ''),
+    startTime: PATTERNS.time.test(r.startTime || '') ? r.startTime : '',
     duration:  parseFloat(r.duration) || 0,   // stored in HOURS
-    tag:       String(r.tag    || 'Personal'),
+    tagIds:    normaliseTagIds(r.tagIds),
     notes:     String(r.notes  || ''),
     urgent:    Boolean(r.urgent),
+    priority:  PRIORITY_LEVELS.includes(r.priority) ? r.priority : 'normal',
     status:    ['not-started','in-progress','completed','canceled'].includes(r.status)
                  ? r.status : 'not-started',
+    actualMinutes: Math.max(0, Math.round(Number(r.actualMinutes) || 0)),   // logged by the focus timer
+    subtasks:  normaliseSubtasks(r.subtasks),
+    dependsOn: Array.isArray(r.dependsOn)
+                 ? [...new Set(r.dependsOn.map(String))].filter(d => d && d !== r.id) : [],
+    recurrence: normaliseRecurrence(r.recurrence),
     createdAt: r.createdAt || now,
     updatedAt: r.updatedAt || now
   };
 }
+
+function normaliseTagIds(list) {
+  const ids = Array.isArray(list) ? [...new Set(list.map(String).filter(Boolean))] : [];
+  return ids.length ? ids : ['personal'];
+}
+
+function normaliseSubtasks(list) {
+  if (!Array.isArray(list)) return [];
+  const items = list.filter(st => st && String(st.title || '').trim());
+  // Ids only need to be unique within their record
+  let next = items.reduce((max, st) => Math.max(max, parseInt(String(st.id).replace(/\D/g, ''), 10) || 0), 0);
+  const seen = new Set();
+  return items.map(st => {
+    let id = String(st.id || '');
+    if (!id || seen.has(id)) id = `st_${++next}`;
+    seen.add(id);
+    return {
+      id,
+      title:    String(st.title).trim(),
+      duration: parseFloat(st.duration) || 0,   // hours; 0 = not estimated
+      done:     Boolean(st.done)
+    };
+  });
+}
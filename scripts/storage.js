@@ -1,26 +1,31 @@
 /**
- * storage.js — localStorage persistence + JSON import/export
+ * storage.js — Persistence + JSON, CSV and .ics import/export
+ * Records and settings go through a storage adapter: IndexedDB when the
+ * browser has it (one write per changed record), localStorage otherwise.
+ * Everything is stored with the schema version (see migrations.js) and older
+ * shapes are upgraded on load and import.
  */
 
-const RECORDS_KEY  = 'campusflow:records';
-const SETTINGS_KEY = 'campusflow:settings';
+import { toCSV, parseCSV, toICS, parseICS, reviewToMarkdown, reviewToHTML } from './formats.js';
+import { SCHEMA_VERSION, MigrationError, unwrap, migrateRecords, migrateSettings } from './migrations.js';
 
-export function loadRecords() {
-  try {
-    const raw = localStorage.getItem(RECORDS_KEY);
-    if (!raw) return null;
-    const parsed = JSON.parse(raw);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch { return []; }
-}
-
-export function saveRecords(records) {
-  try { localStorage.setItem(RECORDS_KEY, JSON.stringify(records)); }
-  catch (e) { console.error('Storage error:', e); }
-}
+const APP_NAMESPACE = 'campusflow';
+const DB_VERSION    = 2;   // v2 added the snapshots store
+// On the localStorage fallback restore points share the ~5 MB quota with the data itself
+const LOCAL_SNAPSHOT_CHARS = 1000000;
+// Warn at boot once the origin has used this share of its storage quota
+const QUOTA_WARN_RATIO = 0.9;
 
 export const DEFAULT_SETTINGS = {
   dailyCap: 8,
+  weekdayCaps: [null, null, null, null, null, null, null],   // Sunday first; null = dailyCap
+  savedViews: [],
+  activeView: null,
+  lastSyncAt: null,
+  snapshotRetention: 7,
+  focus: null,
+  overduePolicy: 'leave',   // see OVERDUE_POLICIES in state.js
+  calendarView: 'month',    // see CAL_VIEWS in ui.js
   tags: [
     { id: 'academic',     label: 'Academic',     color: '#3b82f6', protected: true },
     { id: 'professional', label: 'Professional', color: '#1e293b', protected: true },
@@ -30,28 +35,539 @@ export const DEFAULT_SETTINGS = {
   ]
 };
 
-export function loadSettings() {
+/**
+ * @typedef {object} StorageAdapter
+ * @property {string} name
+ * @property {() => Promise<void>} open
+ * @property {() => Promise<object[]|null>} loadRecords - null when nothing has been saved yet
+ * @property {() => Promise<object|null>}   loadSettings - saved settings, or null for defaults
+ * @property {(records: object[], changedIds?: string[]) => Promise<void>} saveRecords
+ *           - without `changedIds` every record is written
+ * @property {(settings: object) => Promise<void>} saveSettings
+ * @property {() => Promise<object[]>} loadSnapshots
+ * @property {(snapshot: object) => Promise<void>} saveSnapshot - replaces one with the same id
+ * @property {(ids: string[]) => Promise<void>} deleteSnapshots
+ */
+
+let _adapter  = null;
+let _notices  = [];     // problems found while loading, reported once the app has booted
+let _onError  = null;
+let _failing  = { data: false, snapshot: false };   // report a failure once, not on every following save
+let _channel  = null;
+let _names    = storageNames(APP_NAMESPACE);
+
+// ── Public API ────────────────────────────────────────────────────
+
+/**
+ * Pick and open the storage backend. Falls back to localStorage when
+ * IndexedDB is missing or fails to open — unless data has already moved to
+ * IndexedDB, in which case nothing is saved rather than starting over.
+ * @param {{memory?:boolean, idb?:boolean, namespace?:string}} [options] - for tests.html:
+ *   memory reads and writes nothing, idb: false skips IndexedDB, and a namespace
+ *   keeps test data apart from the app's own
+ * @returns {Promise<string>} adapter name
+ */
+export async function openStorage({ memory = false, idb: tryIDB = true, namespace = APP_NAMESPACE } = {}) {
+  if (namespace !== _names.namespace) {
+    _channel?.close();
+    _channel = null;
+    _names = storageNames(namespace);
+  }
+  if (memory) { _adapter = memoryAdapter; return _adapter.name; }
+  _adapter = localStorageAdapter;
+  if (tryIDB && typeof indexedDB !== 'undefined') {
+    const idb = indexedDBAdapter();
+    try {
+      await idb.open();
+      // Unless the move from localStorage found data it could not read, and stopped saving
+      if (_adapter !== memoryAdapter) _adapter = idb;
+    } catch (e) {
+      console.error('IndexedDB unavailable:', e);
+      // Don't write over data this version cannot read, or that we cannot reach
+      if (e instanceof MigrationError) useMemory(`Saved data could not be read (${trimStop(e.message)})`);
+      else if (movedToIndexedDB()) useMemory(`Saved data could not be opened (${errorText(e)})`);
+    }
+  } else if (tryIDB && movedToIndexedDB()) {
+    useMemory('Saved data is in a browser database this page cannot open');
+  }
+  await checkQuota();
+  return _adapter.name;
+}
+
+/** @returns {Promise<object[]|null>} null when nothing has been saved yet */
+export async function loadRecords() {
+  try { return await _adapter.loadRecords(); }
+  catch (e) { readFailed(e); return []; }
+}
+
+export async function loadSettings() {
+  let saved = null;
+  try { saved = await _adapter.loadSettings(); }
+  catch (e) { readFailed(e); }
+  return { ...defaultSettings(), ...(saved || {}) };
+}
+
+/**
+ * Persist records in the background. Failures go to the onPersistError handler.
+ * @param {object[]} records - the full list
+ * @param {string[]} [changedIds] - ids added, changed or removed since the last save
+ */
+export function saveRecords(records, changedIds) {
+  // Built now: the records list keeps changing while the write is in flight
+  const byId = new Map(records.map(r => [r.id, r]));
+  const message = changedIds
+    ? { kind: 'records', records: changedIds.filter(id => byId.has(id)).map(id => byId.get(id)),
+        deleted: changedIds.filter(id => !byId.has(id)) }
+    : { kind: 'records', records: [...records], full: true };
+  persist(() => _adapter.saveRecords(records, changedIds), { ...message, savedAt: new Date().toISOString() });
+}
+
+/**
+ * Persist settings in the background.
+ * @param {{broadcast?: boolean}} [opts] - false when only this device's own settings changed
+ */
+export function saveSettings(settings, { broadcast = true } = {}) {
+  persist(() => _adapter.saveSettings(settings),
+    broadcast ? { kind: 'settings', settings, savedAt: new Date().toISOString() } : null);
+}
+
+/**
+ * Restore points kept by state.js. Each is `{ id, date, createdAt, version,
+ * records, settings }`; `version` is the schema they were saved under.
+ * @returns {Promise<object[]>}
+ */
+export async function loadSnapshots() {
+  try { return await _adapter.loadSnapshots(); }
+  catch (e) { readFailed(e); return []; }
+}
+
+export function saveSnapshot(snapshot) {
+  persist(() => _adapter.saveSnapshot(snapshot), null, 'snapshot');
+}
+
+export function deleteSnapshots(ids) {
+  if (ids.length) persist(() => _adapter.deleteSnapshots(ids), null, 'snapshot');
+}
+
+/**
+ * @param {(error: Error, what: 'data'|'snapshot') => void} fn - called when saving
+ *   records and settings, or keeping restore points, starts failing
+ */
+export function onPersistError(fn) { _onError = fn; }
+
+/**
+ * Listen for saves made by other tabs of the app.
+ * Messages are `{ kind: 'records', records, deleted, savedAt }` (or
+ * `full: true` with every record instead of `deleted`) and
+ * `{ kind: 'settings', settings, savedAt }`.
+ * @param {(message: object) => void} fn
+ */
+export function onRemoteChange(fn) {
+  if (typeof BroadcastChannel === 'undefined') return;
+  _channel ??= new BroadcastChannel(_names.channel);
+  _channel.onmessage = e => fn(e.data);
+}
+
+/** @returns {string[]} messages, and clears the list */
+export function takeStorageNotices() {
+  const out = _notices;
+  _notices = [];
+  return out;
+}
+
+// ── Adapters ──────────────────────────────────────────────────────
+
+/** @type {StorageAdapter} */
+const localStorageAdapter = {
+  name: 'localstorage',
+
+  async open() {},
+
+  async loadRecords() {
+    let raw;
+    try { raw = localStorage.getItem(_names.records); }
+    catch { return []; }
+    if (!raw) return null;
+    try {
+      const { version, data } = unwrap(JSON.parse(raw), 'records');
+      const records = migrateRecords(data, version);
+      if (version < SCHEMA_VERSION) {
+        keepBackup(_names.records, raw, `v${version}`);
+        await this.saveRecords(records);
+      }
+      return records;
+    } catch (e) {
+      // Never drop what we cannot read — park it, start empty and save nothing over it
+      useMemory(`Saved activities could not be read (${trimStop(e.message)})`, backupNote(keepBackup(_names.records, raw, 'unreadable')));
+      return [];
+    }
+  },
+
+  async loadSettings() {
+    let raw;
+    try { raw = localStorage.getItem(_names.settings); }
+    catch { return null; }
+    if (!raw) return null;
+    try {
+      const { version, data } = unwrap(JSON.parse(raw), 'settings');
+      const settings = migrateSettings(data, version);
+      if (version < SCHEMA_VERSION) {
+        keepBackup(_names.settings, raw, `v${version}`);
+        await this.saveSettings({ ...defaultSettings(), ...settings });
+      }
+      return settings;
+    } catch (e) {
+      useMemory(`Saved settings could not be read (${trimStop(e.message)}); defaults are in use`, backupNote(keepBackup(_names.settings, raw, 'unreadable')));
+      return null;
+    }
+  },
+
+  async saveRecords(records) {
+    localStorage.setItem(_names.records, JSON.stringify({ version: SCHEMA_VERSION, records }));
+  },
+
+  async saveSettings(settings) {
+    localStorage.setItem(_names.settings, JSON.stringify({ version: SCHEMA_VERSION, settings }));
+  },
+
+  async loadSnapshots() {
+    try { return JSON.parse(localStorage.getItem(_names.snapshots) || '[]'); }
+    catch { return []; }
+  },
+
+  async saveSnapshot(snapshot) {
+    const list = [...(await this.loadSnapshots()).filter(s => s.id !== snapshot.id), snapshot]
+      .sort((a, b) => a.date.localeCompare(b.date));
+    // The oldest go first until restore points fit their share of the quota
+    let text = JSON.stringify(list);
+    while (text.length > LOCAL_SNAPSHOT_CHARS && list.length > 1) { list.shift(); text = JSON.stringify(list); }
+    if (text.length > LOCAL_SNAPSHOT_CHARS) throw new RangeError('The data is too large for a restore point in browser storage');
+    localStorage.setItem(_names.snapshots, text);
+  },
+
+  async deleteSnapshots(ids) {
+    const list = (await this.loadSnapshots()).filter(s => !ids.includes(s.id));
+    localStorage.setItem(_names.snapshots, JSON.stringify(list));
+  }
+};
+
+/**
+ * Records live in the `records` store keyed by id; the schema version and
+ * settings live in `meta`. The first open copies any localStorage data over.
+ * @returns {StorageAdapter}
+ */
+function indexedDBAdapter() {
+  let db = null;
+  const meta = mode => db.transaction('meta', mode).objectStore('meta');
+
+  return {
+    name: 'indexeddb',
+
+    async open() {
+      const req = indexedDB.open(_names.db, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const stores = req.result.objectStoreNames;
+        if (!stores.contains('records'))   req.result.createObjectStore('records', { keyPath: 'id' });
+        if (!stores.contains('meta'))      req.result.createObjectStore('meta');
+        if (!stores.contains('snapshots')) req.result.createObjectStore('snapshots', { keyPath: 'id' });
+      };
+      db = await idbResult(req);
+      // Let a newer page upgrade the database instead of blocking it
+      db.onversionchange = () => db.close();
+
+      const version = await idbResult(meta('readonly').get('schema'));
+      if (version === undefined) return this.copyFromLocalStorage();
+      markMoved();
+      if (version !== SCHEMA_VERSION) await this.upgrade(version);
+    },
+
+    async copyFromLocalStorage() {
+      const records  = await localStorageAdapter.loadRecords();
+      const settings = await localStorageAdapter.loadSettings();
+      const snapshots = await localStorageAdapter.loadSnapshots();
+      if (records === null && settings === null) return;   // fresh install
+      // Unreadable data stays where it is, and the move waits: the load kept a backup and stopped saving
+      if (_adapter === memoryAdapter) return;
+      const tx = db.transaction(['records', 'meta', 'snapshots'], 'readwrite');
+      (records || []).filter(r => r?.id).forEach(r => tx.objectStore('records').put(r));
+      snapshots.filter(s => s?.id).forEach(s => tx.objectStore('snapshots').put(s));
+      if (settings) tx.objectStore('meta').put(settings, 'settings');
+      tx.objectStore('meta').put(SCHEMA_VERSION, 'schema');
+      await idbDone(tx);
+      markMoved();
+      localStorage.removeItem(_names.records);
+      localStorage.removeItem(_names.settings);
+      localStorage.removeItem(_names.snapshots);
+    },
+
+    async upgrade(version) {
+      const read = db.transaction(['records', 'meta'], 'readonly');
+      const [records, settings] = await Promise.all([
+        idbResult(read.objectStore('records').getAll()),
+        idbResult(read.objectStore('meta').get('settings'))
+      ]);
+      // Both throw MigrationError for a newer schema, before anything is written
+      const nextRecords  = migrateRecords(records, version);
+      const nextSettings = settings ? migrateSettings(settings, version) : null;
+      const tx = db.transaction(['records', 'meta'], 'readwrite');
+      tx.objectStore('records').clear();
+      nextRecords.forEach(r => tx.objectStore('records').put(r));
+      if (nextSettings) tx.objectStore('meta').put(nextSettings, 'settings');
+      tx.objectStore('meta').put(SCHEMA_VERSION, 'schema');
+      await idbDone(tx);
+    },
+
+    async loadRecords() {
+      const tx = db.transaction(['records', 'meta'], 'readonly');
+      const [version, records] = await Promise.all([
+        idbResult(tx.objectStore('meta').get('schema')),
+        idbResult(tx.objectStore('records').getAll())
+      ]);
+      return version === undefined ? null : records;
+    },
+
+    async loadSettings() {
+      return (await idbResult(meta('readonly').get('settings'))) || null;
+    },
+
+    saveRecords(records, changedIds) {
+      // One transaction per call, so a bulk import lands completely or not at all
+      const tx    = db.transaction(['records', 'meta'], 'readwrite');
+      const store = tx.objectStore('records');
+      if (!changedIds) {
+        store.clear();
+        records.forEach(r => store.put(r));
+      } else {
+        const byId = new Map(records.map(r => [r.id, r]));
+        changedIds.forEach(id => byId.has(id) ? store.put(byId.get(id)) : store.delete(id));
+      }
+      tx.objectStore('meta').put(SCHEMA_VERSION, 'schema');
+      return idbDone(tx).then(markMoved);
+    },
+
+    saveSettings(settings) {
+      const tx = db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').put(settings, 'settings');
+      return idbDone(tx);
+    },
+
+    loadSnapshots() {
+      return idbResult(db.transaction('snapshots', 'readonly').objectStore('snapshots').getAll());
+    },
+
+    saveSnapshot(snapshot) {
+      const tx = db.transaction('snapshots', 'readwrite');
+      tx.objectStore('snapshots').put(snapshot);
+      return idbDone(tx);
+    },
+
+    deleteSnapshots(ids) {
+      const tx = db.transaction('snapshots', 'readwrite');
+      ids.forEach(id => tx.objectStore('snapshots').delete(id));
+      return idbDone(tx);
+    }
+  };
+}
+
+/** Used when stored data cannot be read or reached (and by tests.html): nothing is read or written. */
+const memoryAdapter = {
+  name: 'memory',
+  async open() {},
+  async loadRecords()  { return []; },
+  async loadSettings() { return null; },
+  async saveRecords()  {},
+  async saveSettings() {},
+  async loadSnapshots() { return []; },
+  async saveSnapshot()  {},
+  async deleteSnapshots() {}
+};
+
+// ── Private helpers ───────────────────────────────────────────────
+
+/** Stop saving for this tab, e.g. so nothing is written over data that could not be read. */
+function useMemory(reason, note = '') {
+  if (_adapter === memoryAdapter) { if (note) _notices.push(`${reason}.${note}`); return; }
+  _adapter = memoryAdapter;
+  _notices.push(`${reason}. Changes made in this tab will not be saved.${note}`);
+}
+
+function storageNames(namespace) {
+  return {
+    namespace,
+    records:   `${namespace}:records`,
+    settings:  `${namespace}:settings`,
+    snapshots: `${namespace}:snapshots`,
+    // Set once data lives in IndexedDB, so a later failure to open it is not taken for a fresh install
+    moved:     `${namespace}:indexeddb`,
+    db:        namespace,
+    // Other open tabs are told about every successful save on this channel
+    channel:   namespace
+  };
+}
+
+// A read that fails after opening: carry on with nothing rather than a blank app
+function readFailed(e) {
+  console.error('Storage read failed:', e);
+  useMemory(`Saved data could not be read (${errorText(e)})`);
+}
+
+function markMoved() {
+  try { localStorage.setItem(_names.moved, '1'); }
+  catch { /* storage off: nothing to protect */ }
+}
+
+function movedToIndexedDB() {
+  try { return localStorage.getItem(_names.moved) === '1'; }
+  catch { return false; }
+}
+
+function errorText(e) { return trimStop(e?.message || e?.name || e); }
+
+function defaultSettings() {
+  return { ...DEFAULT_SETTINGS, tags: DEFAULT_SETTINGS.tags.map(t => ({...t})) };
+}
+
+/** @param {'data'|'snapshot'} [what] - failures are reported per kind, so a full restore point store doesn't read as lost data */
+function persist(write, message, what = 'data') {
+  let pending;
+  try { pending = Promise.resolve(write()); }
+  catch (e) { pending = Promise.reject(e); }
+  pending.then(
+    () => {
+      _failing[what] = false;
+      // A tab that is not saving has nothing the others should pick up
+      if (message && _adapter !== memoryAdapter) broadcast(message);
+    },
+    e => {
+      console.error('Storage error:', e);
+      if (!_failing[what]) _onError?.(e, what);
+      _failing[what] = true;
+    }
+  );
+}
+
+function broadcast(message) {
+  if (typeof BroadcastChannel === 'undefined') return;
+  _channel ??= new BroadcastChannel(_names.channel);
+  try { _channel.postMessage(message); }
+  catch (e) { console.error('Tab sync failed:', e); }
+}
+
+async function checkQuota() {
   try {
-    const raw = localStorage.getItem(SETTINGS_KEY);
-    if (!raw) return { ...DEFAULT_SETTINGS, tags: DEFAULT_SETTINGS.tags.map(t => ({...t})) };
-    const parsed = JSON.parse(raw);
-    return { ...DEFAULT_SETTINGS, ...parsed };
-  } catch { return { ...DEFAULT_SETTINGS }; }
+    const { usage, quota } = (await navigator.storage?.estimate?.()) || {};
+    if (quota && usage / quota > QUOTA_WARN_RATIO) {
+      _notices.push(`Browser storage is ${Math.round(usage / quota * 100)}% full — export a JSON backup and clear out old activities soon.`);
+    }
+  } catch { /* estimate unsupported */ }
 }
 
-export function saveSettings(settings) {
-  try { localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings)); }
-  catch (e) { console.error('Settings storage error:', e); }
+function idbResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror   = () => reject(req.error);
+  });
 }
 
-export function exportJSON(records) {
-  const blob = new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' });
-  const url  = URL.createObjectURL(blob);
-  const a    = document.createElement('a');
-  a.href = url; a.download = 'campusflow.json'; a.click();
-  URL.revokeObjectURL(url);
+function idbDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror    = () => reject(tx.error);
+    tx.onabort    = () => reject(tx.error || new DOMException('Transaction aborted.', 'AbortError'));
+  });
 }
 
+/**
+ * Copy raw stored text aside before it is upgraded or abandoned. Loading the
+ * same text again reuses its backup, so repeated loads don't fill storage;
+ * different text gets the next free `:2`, `:3`… key and never replaces a copy.
+ * @returns {string|null} the backup key, or null if storage is full
+ */
+function keepBackup(key, raw, reason) {
+  const base = `${key}:backup:${reason}`;
+  try {
+    // Earlier builds added a timestamp to every backup; drop those that hold this same text
+    Object.keys(localStorage)
+      .filter(k => /:\d{4}-\d\d-\d\dT/.test(k.slice(base.length)) && k.startsWith(`${base}:`) && localStorage.getItem(k) === raw)
+      .forEach(k => localStorage.removeItem(k));
+    let backupKey = base;
+    for (let n = 2; ![null, raw].includes(localStorage.getItem(backupKey)); n++) backupKey = `${base}:${n}`;
+    localStorage.setItem(backupKey, raw);
+    return backupKey;
+  } catch (e) { console.error('Backup failed:', e); return null; }
+}
+
+function backupNote(key) {
+  return key ? ` A copy was kept in browser storage under "${key}".` : ' Storage is full, so no copy could be kept.';
+}
+
+function trimStop(msg) { return String(msg).replace(/\.$/, ''); }
+
+// ── Import / Export ───────────────────────────────────────────────
+
+/**
+ * @param {object[]} records
+ * @param {object[]} tags - records refer to these by id
+ */
+export function exportJSON(records, tags) {
+  const file = { app: 'campusflow', version: SCHEMA_VERSION, exportedAt: new Date().toISOString(), records, tags };
+  download(JSON.stringify(file, null, 2), 'campusflow.json', 'application/json');
+}
+
+/** Records here carry their tag labels as `tags`. */
+export function exportCSV(records) {
+  download(toCSV(records), 'campusflow.csv', 'text/csv');
+}
+
+export function exportICS(records) {
+  download(toICS(records), 'campusflow.ics', 'text/calendar');
+}
+
+/**
+ * @param {object} review - from computeWeeklyReview
+ * @param {'md'|'html'} format
+ */
+export function exportReview(review, format) {
+  const name = `campusflow-review-${review.from}`;
+  if (format === 'html') download(reviewToHTML(review), `${name}.html`, 'text/html');
+  else download(reviewToMarkdown(review), `${name}.md`, 'text/markdown');
+}
+
+/**
+ * Read a CSV file into header + data rows for column mapping.
+ * @param {File} file
+ * @param {(result: {headers: string[], rows: string[][]}) => void} onSuccess
+ * @param {(msg: string) => void} onError
+ */
+export function importCSV(file, onSuccess, onError) {
+  readText(file, '.csv', text => {
+    const [headers, ...rows] = parseCSV(text);
+    if (!headers) throw new Error('File is empty.');
+    if (!rows.length) throw new Error('File has a header row but no data.');
+    onSuccess({ headers, rows });
+  }, onError);
+}
+
+/**
+ * Read an iCalendar file into records plus per-event errors.
+ * @param {File} file
+ * @param {(result: {records: object[], errors: object[]}) => void} onSuccess
+ * @param {(msg: string) => void} onError
+ */
+export function importICS(file, onSuccess, onError) {
+  readText(file, '.ics', text => {
+    const result = parseICS(text);
+    if (!result.records.length && !result.errors.length) throw new Error('File contains no events.');
+    onSuccess(result);
+  }, onError);
+}
+
+/**
+ * @param {File} file
+ * @param {(records: object[], tags: object[]) => void} onSuccess - tags is the
+ *        file's tag list (empty for files from before tags had ids)
+ * @param {(msg: string) => void} onError
+ */
 export function importJSON(file, onSuccess, onError) {
   if (!file) { onError('No file selected.'); return; }
   if (!file.name.endsWith('.json')) { onError('File must be a .json file.'); return; }
@@ -59,19 +575,42 @@ export function importJSON(file, onSuccess, onError) {
   reader.onload = (e) => {
     try {
       const parsed = JSON.parse(e.target.result);
-      onSuccess(validateImport(parsed));
+      onSuccess(validateImport(parsed), importedTags(parsed));
     } catch (err) { onError('Invalid JSON: ' + err.message); }
   };
   reader.onerror = () => onError('Failed to read file.');
   reader.readAsText(file);
 }
 
-function validateImport(data) {
-  if (!Array.isArray(data)) throw new Error('Root must be a JSON array.');
+function download(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+function readText(file, ext, parse, onError) {
+  if (!file) { onError('No file selected.'); return; }
+  if (!file.name.toLowerCase().endsWith(ext)) { onError(`File must be a ${ext} file.`); return; }
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    try { parse(e.target.result); }
+    catch (err) { onError(err.message); }
+  };
+  reader.onerror = () => onError('Failed to read file.');
+  reader.readAsText(file);
+}
+
+function validateImport(parsed) {
+  const { version, data } = unwrap(parsed, 'records');
+  if (!Array.isArray(data)) throw new Error('"records" must be a list.');
   if (data.length === 0) throw new Error('File contains no records.');
-  const now = new Date().toISOString();
-  return data.map((item, i) => {
+  data.forEach((item, i) => {
     if (typeof item !== 'object' || item === null) throw new Error(`Item at index ${i} is not an object.`);
+  });
+  const now = new Date().toISOString();
+  return migrateRecords(data, version).map((item, i) => {
     if (!item.id)      throw new Error(`Record ${i} missing "id".`);
     if (!item.title)   throw new Error(`Record ${i} missing "title".`);
     if (!item.dueDate) throw new Error(`Record ${i} missing "dueDate".`);
@@ -79,10 +618,22 @@ function validateImport(data) {
     return {
       id: String(item.id), title: String(item.title),
       dueDate: String(item.dueDate), duration: parseFloat(item.duration) || 0,
-      tag: String(item.tag || 'Personal'), notes: String(item.notes || ''),
-      urgent: Boolean(item.urgent),
+      startTime: String(item.startTime || ''), recurrence: item.recurrence || null,
+      subtasks: Array.isArray(item.subtasks) ? item.subtasks : [],
+      dependsOn: Array.isArray(item.dependsOn) ? item.dependsOn : [],
+      actualMinutes: Number(item.actualMinutes) || 0,
+      tagIds: Array.isArray(item.tagIds) ? item.tagIds.map(String) : [], tag: String(item.tag || ''),
+      notes: String(item.notes || ''),
+      urgent: Boolean(item.urgent), priority: String(item.priority || 'normal'),
       status: ['not-started','in-progress','completed','canceled'].includes(item.status) ? item.status : 'not-started',
       createdAt: item.createdAt || now, updatedAt: item.updatedAt || now
     };
   });
 }
+
+function importedTags(parsed) {
+  if (!Array.isArray(parsed?.tags)) return [];
+  return parsed.tags.filter(t => t && typeof t === 'object' && t.id && t.label)
+    .map(t => ({ id: String(t.id), label: String(t.label), color: String(t.color || ''),
+                 ...(t.parentId ? { parentId: String(t.parentId) } : {}) }));
+}
@@ -2,8 +2,13 @@
  * ui.js — All DOM rendering, ARIA announcements, UI helpers.
  */
 
-import { getRecords, getSettings, computeStats } from './state.js';
+import { getOccurrences, getRecords, getRecord, getSettings, computeStats, computeDayTimeline, getSnapshots, getTag, tagLabel, tagUsage,
+         tagPath, tagAncestors, tagDescendants,
+         subtaskProgress, getBlockers, isBlocked, getFocus, computeAnalytics,
+         computeWeeklyReview, isOverdue, computeNextUp, capFor } from './state.js';
 import { filterRecords, highlight, escapeHtml } from './search.js';
+import { describeRecurrence } from './recurrence.js';
+import { minutesToTime, todayISO, weekdayOf, rangePreset, addDays, startOfWeek, daysBetween } from './dates.js';
 
 // ── SVG Icon helper ───────────────────────────────────────────────
 
@@ -13,6 +18,8 @@ const ICONS = {
   flag:   `<path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"/><line x1="4" y1="22" x2="4" y2="15"/>`,
   x:      `<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>`,
   chevron:`<polyline points="6 9 12 15 18 9"/>`,
+  play:   `<polygon points="6 4 20 12 6 20 6 4"/>`,
+  repeat: `<polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/>`,
 };
 
 function icon(name, { size = 16, color = 'currentColor', sw = 2 } = {}) {
@@ -23,17 +30,50 @@ function icon(name, { size = 16, color = 'currentColor', sw = 2 } = {}) {
 
 // ── ARIA Live ─────────────────────────────────────────────────────
 
-export function announce(msg, urgent = false) {
+const TOAST_MS = 8000;
+let _toastTimer = null;
+
+/**
+ * Broadcast a status message to screen readers. When `action` is given
+ * ({ label, onClick }), the message is also shown in a visible toast with a
+ * button, e.g. { label: 'Undo', onClick: doUndo }.
+ */
+export function announce(msg, urgent = false, action = null) {
   const id = urgent ? 'alert-msg' : 'status-msg';
   const el = document.getElementById(id);
   if (!el) return;
   el.textContent = '';
   requestAnimationFrame(() => { el.textContent = msg; });
+  if (action) showToast(msg, action);
+}
+
+function showToast(msg, { label, onClick }) {
+  const toast = document.getElementById('toast');
+  const btn   = document.getElementById('toast-action');
+  if (!toast || !btn) return;
+  _setText('toast-msg', msg);
+  btn.textContent = label;
+  btn.onclick = () => { hideToast(); onClick(); };
+  toast.hidden = false;
+  clearTimeout(_toastTimer);
+  const schedule = () => {
+    _toastTimer = setTimeout(() => {
+      // Keep the toast while the keyboard user is on its button
+      if (toast.contains(document.activeElement)) schedule(); else hideToast();
+    }, TOAST_MS);
+  };
+  schedule();
+}
+
+function hideToast() {
+  clearTimeout(_toastTimer);
+  const toast = document.getElementById('toast');
+  if (toast) toast.hidden = true;
 }
 
 // ── Section Navigation ────────────────────────────────────────────
 
-const VIEWS = ['dashboard','planner','stats','settings','about','calendar'];
+const VIEWS = ['dashboard','planner','stats','review','settings','about','calendar'];
 
 export function showSection(id) {
   VIEWS.forEach(sid => {
@@ -48,7 +88,7 @@ export function showSection(id) {
       link.classList.toggle('active', active);
     }
   });
-  const names = { dashboard:'Dashboard', planner:'Planner', stats:'Statistics',
+  const names = { dashboard:'Dashboard', planner:'Planner', stats:'Statistics', review:'Weekly Review',
                   settings:'Settings', about:'About', calendar:'Calendar' };
   document.title = `Campus Flow — ${names[id] || id}`;
 }
@@ -57,8 +97,7 @@ export function showSection(id) {
 
 export function renderDashboard() {
   const stats = computeStats();
-  const s     = getSettings();
-  const cap   = s.dailyCap || 8;
+  const cap   = stats.cap;   // today's own cap (see capFor)
 
   const pct  = Math.min((stats.todayHrs / cap) * 100, 100);
   const fill = document.getElementById('heat-fill');
@@ -84,20 +123,28 @@ export function renderDashboard() {
     }
   }
 
+  const rebalanceBtn = document.getElementById('btn-rebalance');
+  if (rebalanceBtn) {
+    rebalanceBtn.hidden = !stats.overDates.length;
+    rebalanceBtn.setAttribute('aria-label',
+      `Rebalance ${stats.overDates.length} over-capacity day${stats.overDates.length !== 1 ? 's' : ''}`);
+  }
+
   _setText('today-total',     stats.todayTotal);
   _setText('today-completed', stats.todayCompleted);
   _setText('today-hrs',       `${stats.todayHrs.toFixed(1)}h`);
   _setText('today-tag',       stats.topTag);
 
   renderTodayList(stats.todayRecs);
+  renderNextUp(stats.remaining);
   renderUrgentPanel(stats.urgentTasks);
-  renderWeeklyCadence(stats.weekly, cap);
+  renderOverduePanel(stats.overdueTasks);
+  renderWeeklyCadence(stats.weekly);
 }
 
 function renderTodayList(todayRecs) {
   const list = document.getElementById('today-list');
   if (!list) return;
-  const tags = (getSettings().tags || []);
 
   if (!todayRecs.length) {
     list.innerHTML = `<p class="empty-hint">No activities scheduled for today.
@@ -105,27 +152,66 @@ function renderTodayList(todayRecs) {
     return;
   }
 
-  list.innerHTML = todayRecs.map(r => {
-    const tag   = tags.find(t => t.label === r.tag) || { color: '#94a3b8' };
+  const byTime = [...todayRecs].sort((a, b) => (a.startTime || '99') < (b.startTime || '99') ? -1 : 1);
+  list.innerHTML = byTime.map(r => {
+    const tag   = getTag(r.tagIds[0]);
     const stCls = _statusClass(r.status);
     return `<div class="today-item${r.status === 'canceled' ? ' canceled' : ''}"
                  style="border-left:4px solid ${tag.color}" role="listitem">
       <div class="today-item-info">
-        <span class="today-item-title">${escapeHtml(r.title)}</span>
+        <span class="today-item-title">${escapeHtml(r.title)}${_repeatPip(r)}${_priorityChip(r)}</span>
         <span class="today-item-meta">
-          <span class="tag-dot" style="background:${tag.color}"></span>${escapeHtml(r.tag)}
+          <span class="tag-dot" style="background:${tag.color}"></span>${escapeHtml(_tagNames(r))}${_timeChip(r)}${_subtaskChip(r)}
           ${r.urgent ? `<span class="urgent-pip" aria-label="Urgent">${icon('flag',{size:11,color:'#ef4444'})}</span>` : ''}
         </span>
       </div>
       <div class="today-item-right">
         <span class="status-badge ${stCls}">${r.status.replace('-',' ')}</span>
         <span class="dur-badge">${r.duration.toFixed(1)}h</span>
+        <button class="btn-icon btn-focus" data-id="${r.id}" aria-label="Start focus timer for ${escapeHtml(r.title)}">${icon('play',{size:14,color:'#14b8a6'})}</button>
         <button class="btn-icon btn-edit" data-id="${r.id}" aria-label="Edit ${escapeHtml(r.title)}">${icon('pencil',{size:14,color:'#3b82f6'})}</button>
       </div>
     </div>`;
   }).join('');
 }
 
+function renderNextUp(remaining) {
+  const list = document.getElementById('next-up-list');
+  if (!list) return;
+  const q    = computeNextUp(remaining);
+  const hrs  = h => `${h.toFixed(1)}h`;
+
+  const lead = q.today.length ? 'Today\'s own activities first. ' : '';
+  _setText('next-up-note',
+    !q.today.length && !q.fits.length && !q.later.length ? 'Nothing is waiting — open activities are blocked or done.'
+    : !q.remaining  ? `${lead}Today is already at its cap.`
+    : !q.fits.length ? `${lead}Nothing else waiting fits in the ${hrs(q.remaining)} left under today's cap.`
+    : `${lead}${hrs(q.remaining)} left under today's cap; these fit${q.left ? `, leaving ${hrs(q.left)}` : ''}.`);
+
+  const item = ({ record: r, score, parts, weight }, later) => {
+    const tag = getTag(r.tagIds[0]);
+    const why = `Score ${score}: urgent ${parts.urgent}, priority ${parts.priority}, due ${parts.due.toFixed(1)}, effort ${parts.effort.toFixed(1)}` +
+                (weight !== 1 ? `, × ${weight} tag weight` : '');
+    return `<div class="today-item${later ? ' next-up-later' : ''}" style="border-left:4px solid ${tag.color}" role="listitem">
+      <div class="today-item-info">
+        <span class="today-item-title">${escapeHtml(r.title)}${_priorityChip(r)}</span>
+        <span class="today-item-meta">
+          <span class="tag-dot" style="background:${tag.color}"></span>${escapeHtml(_tagNames(r))} · ${_dayLabel(r.dueDate)}${isOverdue(r) ? ' (overdue)' : ''}${_subtaskChip(r)}
+          ${r.urgent ? `<span class="urgent-pip" aria-label="Urgent">${icon('flag',{size:11,color:'#ef4444'})}</span>` : ''}
+        </span>
+      </div>
+      <div class="today-item-right">
+        <span class="score-chip" title="${escapeHtml(why)}" aria-label="${escapeHtml(why)}">${score}</span>
+        <span class="dur-badge">${hrs(r.duration)}</span>
+        <button class="btn-icon btn-focus" data-id="${r.id}" aria-label="Start focus timer for ${escapeHtml(r.title)}">${icon('play',{size:14,color:'#14b8a6'})}</button>
+        <button class="btn-icon btn-edit" data-id="${r.id}" aria-label="Edit ${escapeHtml(r.title)}">${icon('pencil',{size:14,color:'#3b82f6'})}</button>
+      </div>
+    </div>`;
+  };
+  list.innerHTML = [...q.today, ...q.fits].map(i => item(i, false)).join('') +
+    (q.later.length ? `<p class="plan-note">Won't fit today:</p>${q.later.map(i => item(i, true)).join('')}` : '');
+}
+
 function renderUrgentPanel(urgentTasks) {
   const count   = document.getElementById('urgent-count');
   const content = document.getElementById('urgent-content');
@@ -145,25 +231,55 @@ function renderUrgentPanel(urgentTasks) {
     <div class="urgent-item" role="listitem">
       <div>
         <div class="urgent-item-title">${escapeHtml(r.title)}</div>
-        <div class="urgent-item-meta">Due ${escapeHtml(r.dueDate)} · ${r.duration.toFixed(1)}h</div>
+        <div class="urgent-item-meta">Due ${escapeHtml(r.dueDate)} · ${r.duration.toFixed(1)}h${_blockedBadge(r)}</div>
       </div>
       <button class="btn-icon btn-edit" data-id="${r.id}" aria-label="Edit ${escapeHtml(r.title)}">${icon('pencil',{size:13,color:'#b91c1c'})}</button>
     </div>`).join('');
 }
 
-function renderWeeklyCadence(weekly, cap) {
+function renderOverduePanel(overdueTasks) {
+  const count   = document.getElementById('overdue-count');
+  const content = document.getElementById('overdue-content');
+  if (!content) return;
+
+  if (count) {
+    count.textContent = overdueTasks.length;
+    count.style.display = overdueTasks.length ? 'inline-flex' : 'none';
+  }
+
+  if (!overdueTasks.length) {
+    content.innerHTML = `<p class="empty-hint" style="padding:.75rem">Nothing overdue.</p>`;
+    return;
+  }
+
+  const today = todayISO();
+  content.innerHTML = overdueTasks.map(r => {
+    const late = daysBetween(r.dueDate, today);
+    return `
+    <div class="urgent-item" role="listitem">
+      <div>
+        <div class="urgent-item-title">${escapeHtml(r.title)}${_repeatPip(r)}</div>
+        <div class="urgent-item-meta">Due ${escapeHtml(r.dueDate)} · ${late} day${late === 1 ? '' : 's'} late · ${r.status.replace('-',' ')}</div>
+      </div>
+      <button class="btn-icon btn-edit" data-id="${r.id}" aria-label="Edit ${escapeHtml(r.title)}">${icon('pencil',{size:13,color:'#c2410c'})}</button>
+    </div>`;
+  }).join('');
+}
+
+// Each day is coloured against its own cap
+function renderWeeklyCadence(weekly) {
   const row = document.getElementById('weekly-cadence');
   if (!row) return;
   row.innerHTML = weekly.map(d => {
-    const ratio = cap > 0 ? d.hrs / cap : 0;
+    const ratio = d.cap > 0 ? d.hrs / d.cap : 0;
     let bg = '#f8fafc', border = '#e2e8f0', textColor = '#cbd5e1';
     if (ratio > 0 && ratio < 0.5)  { bg = `rgba(34,197,94,${0.1+ratio*0.5})`; border='#22c55e'; textColor='#15803d'; }
     else if (ratio < 0.9) { bg = `rgba(249,115,22,${0.15+ratio*0.3})`; border='#f97316'; textColor='#c2410c'; }
     else if (ratio >= 0.9) { bg = `rgba(239,68,68,${0.2+ratio*0.2})`; border='#ef4444'; textColor='#b91c1c'; }
     return `<div class="cadence-day${d.isToday?' is-today':''}"
                style="background:${bg};border-color:${border};color:${textColor}"
-               title="${d.date}: ${d.hrs.toFixed(1)}h (${d.count} task${d.count!==1?'s':''})"
-               aria-label="${d.label} ${d.dayNum}: ${d.hrs.toFixed(1)} hours">
+               title="${d.date}: ${d.hrs.toFixed(1)}h of ${d.cap}h (${d.count} task${d.count!==1?'s':''})"
+               aria-label="${d.label} ${d.dayNum}: ${d.hrs.toFixed(1)} of ${d.cap} hours">
       <span class="cadence-label">${d.label}</span>
       <span class="cadence-num">${d.dayNum}</span>
       <span class="cadence-hrs">${d.hrs > 0 ? d.hrs.toFixed(1)+'h' : ''}</span>
@@ -173,21 +289,97 @@ function renderWeeklyCadence(weekly, cap) {
 
 // ── Planner Table ─────────────────────────────────────────────────
 
-let _sortKey = 'dueDate', _sortDir = 'asc', _searchRe = null;
+let _sortKey = 'dueDate', _sortDir = 'asc', _searchQuery = null, _tagFilter = '';
+
+/** @param {import('./search.js').Query|null} query - from compileQuery */
+export function setSearch(query) { _searchQuery = query; }
+export function setTagFilter(tag) { _tagFilter = tag || ''; }
 
-export function setSearch(re) { _searchRe = re; }
-export function setSort(key) {
-  _sortDir = _sortKey === key ? (_sortDir === 'asc' ? 'desc' : 'asc') : 'asc';
+/** Toggle direction on a repeated key, or set both when `dir` is given. */
+export function setSort(key, dir) {
+  _sortDir = dir || (_sortKey === key ? (_sortDir === 'asc' ? 'desc' : 'asc') : 'asc');
   _sortKey = key;
 }
+export function getSort() { return { key: _sortKey, dir: _sortDir }; }
+
+// ── Row Selection ─────────────────────────────────────────────────
+
+let _selected = new Set(), _anchorId = null, _visibleIds = [];
+
+export function getSelection()   { return [..._selected]; }
+export function clearSelection() { _selected.clear(); _anchorId = null; _syncSelection(); }
+
+/**
+ * Tick or untick a row. With `range`, every listed row between the last
+ * ticked row and this one takes the same state.
+ */
+export function selectRow(id, checked, range = false) {
+  const from = _visibleIds.indexOf(_anchorId), to = _visibleIds.indexOf(id);
+  const ids  = range && from !== -1 && to !== -1
+    ? _visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1)
+    : [id];
+  ids.forEach(i => checked ? _selected.add(i) : _selected.delete(i));
+  _anchorId = id;
+  _syncSelection();
+}
+
+export function selectAllVisible(checked) {
+  _selected = new Set(checked ? _visibleIds : []);
+  _syncSelection();
+}
+
+// ── Saved Views ───────────────────────────────────────────────────
+
+/** Built-in smart lists; each is just a query in the search language. */
+export const SMART_VIEWS = [
+  { id: 'smart:overdue', name: 'Overdue',              query: 'due:<today -status:completed -status:canceled', sortKey: 'dueDate', sortDir: 'asc' },
+  { id: 'smart:week',    name: 'Due this week',        query: 'due:week',                                    sortKey: 'dueDate', sortDir: 'asc' },
+  { id: 'smart:urgent',  name: 'Urgent & not started', query: 'urgent:yes status:not-started',              sortKey: 'dueDate', sortDir: 'asc' }
+];
+
+/**
+ * What loading `view` sets in the planner. Anything it leaves out is the
+ * default, so `{ id: null }` shows every activity by due date.
+ * @returns {{query:string, caseSensitive:boolean, tagId:string, sortKey:string, sortDir:'asc'|'desc'}}
+ */
+export function viewSettings(view) {
+  return {
+    query:         view.query || '',
+    caseSensitive: view.caseSensitive === true,
+    tagId:         view.tagId || '',
+    sortKey:       view.sortKey || 'dueDate',
+    sortDir:       view.sortDir || 'asc'
+  };
+}
+
+export function renderViewList(activeId = null) {
+  const el = document.getElementById('view-list');
+  if (!el) return;
+  const saved = getSettings().savedViews || [];
+  const chip  = (v, extra = '') =>
+    `<button type="button" class="btn-sm view-chip" data-view-id="${escapeHtml(v.id)}" aria-pressed="${v.id === activeId}"
+       title="${escapeHtml(v.query || 'All activities')}${v.tagId ? ` · tag ${escapeHtml(tagLabel(v.tagId))}` : ''}">${escapeHtml(v.name)}</button>${extra}`;
+
+  el.innerHTML =
+    SMART_VIEWS.map(v => chip(v)).join('') +
+    saved.map(v => `<span class="view-saved">${chip(v,
+      `<button type="button" class="view-del" data-view-del="${escapeHtml(v.id)}" aria-label="Delete view ${escapeHtml(v.name)}">×</button>`)}</span>`).join('') +
+    `<button type="button" class="btn-sm view-save" id="btn-save-view">+ Save view</button>`;
+}
 
 export function renderTable() {
   const tbody   = document.getElementById('records-tbody');
   const countEl = document.getElementById('record-count');
-  const tags    = (getSettings().tags || []);
   if (!tbody) return;
 
-  let recs = filterRecords(getRecords(), _searchRe);
+  // Search and the Tag column sort go by label; `tag:` also matches the tags a tag is nested under
+  let recs = filterRecords(getOccurrences().map(r => ({
+    ...r, tag: _tagNames(r), tags: [...new Set(r.tagIds.flatMap(tagAncestors))].map(tagLabel)
+  })), _searchQuery);
+  if (_tagFilter) {
+    const ids = tagDescendants(_tagFilter);
+    recs = recs.filter(r => r.tagIds.some(id => ids.has(id)));
+  }
   recs = [...recs].sort((a, b) => {
     let va = a[_sortKey], vb = b[_sortKey];
     if (_sortKey === 'duration') { va = +va; vb = +vb; }
@@ -199,6 +391,10 @@ export function renderTable() {
 
   if (countEl) countEl.textContent = `${recs.length} record${recs.length !== 1 ? 's' : ''}`;
 
+  // Bulk actions only ever touch rows the user can see
+  _visibleIds = recs.map(r => r.id);
+  _selected   = new Set(_visibleIds.filter(id => _selected.has(id)));
+
   document.querySelectorAll('[data-sort]').forEach(th => {
     const k = th.dataset.sort;
     const iconEl = th.querySelector('.sort-icon');
@@ -207,31 +403,36 @@ export function renderTable() {
   });
 
   if (!recs.length) {
-    tbody.innerHTML = `<tr><td colspan="7" class="empty-state">${_searchRe ? 'No records match your search.' : 'No activities yet. Add one to get started.'}</td></tr>`;
+    _syncSelection();
+    tbody.innerHTML = `<tr><td colspan="8" class="empty-state">${_searchQuery || _tagFilter ? 'No records match your search.' : 'No activities yet. Add one to get started.'}</td></tr>`;
     return;
   }
 
   tbody.innerHTML = recs.map(r => {
-    const tag     = tags.find(t => t.label === r.tag) || { color: '#94a3b8', label: r.tag };
-    const titleHl = _searchRe ? highlight(r.title, _searchRe) : escapeHtml(r.title);
+    const titleHl = highlight(r.title, _searchQuery?.highlightRe || null);
     const stCls   = _statusClass(r.status);
-    return `<tr data-id="${r.id}">
-      <td class="col-title">${titleHl}${r.urgent ? ` <span class="urgent-pip">${icon('flag',{size:11,color:'#ef4444'})}</span>` : ''}</td>
-      <td data-label="Due">${escapeHtml(r.dueDate)}</td>
-      <td data-label="Duration">${r.duration.toFixed(1)}h</td>
+    const sel     = _selected.has(r.id);
+    const rowCls  = [sel && 'is-selected', isOverdue(r) && 'is-overdue'].filter(Boolean).join(' ');
+    return `<tr data-id="${r.id}"${rowCls ? ` class="${rowCls}"` : ''}>
+      <td class="col-select"><input type="checkbox" class="row-select" data-id="${r.id}" aria-label="Select ${escapeHtml(r.title)}, due ${r.dueDate}"${sel ? ' checked' : ''}></td>
+      <td class="col-title">${titleHl}${_repeatPip(r)}${_priorityChip(r)}${_subtaskChip(r)}${r.urgent ? ` <span class="urgent-pip">${icon('flag',{size:11,color:'#ef4444'})}</span>` : ''}</td>
+      <td data-label="Due">${escapeHtml(r.dueDate)}${_timeChip(r)}</td>
+      <td data-label="Duration">${r.duration.toFixed(1)}h${_actualChip(r)}</td>
       <td data-label="Tag">
-        <span class="tag-chip" style="background:${tag.color}18;color:${tag.color}">
+        ${r.tagIds.map(getTag).map(tag => `<span class="tag-chip" style="background:${tag.color}18;color:${tag.color}" title="${escapeHtml(tagPath(tag.id))}">
           <span class="tag-dot-sm" style="background:${tag.color}"></span>${escapeHtml(tag.label)}
-        </span>
+        </span>`).join(' ')}
       </td>
-      <td data-label="Status"><span class="status-badge ${stCls}">${r.status.replace('-',' ')}</span></td>
+      <td data-label="Status"><span class="status-badge ${stCls}">${r.status.replace('-',' ')}</span>${_overdueBadge(r)}${_blockedBadge(r)}</td>
       <td data-label="Urgent" style="text-align:center">${r.urgent ? icon('flag',{size:13,color:'#ef4444'}) : '—'}</td>
       <td class="col-actions" data-label="Actions">
+        <button class="btn-icon btn-focus"  data-id="${r.id}" aria-label="Start focus timer for ${escapeHtml(r.title)}">${icon('play',{size:14,color:'#14b8a6'})}</button>
         <button class="btn-icon btn-edit"   data-id="${r.id}" aria-label="Edit ${escapeHtml(r.title)}">${icon('pencil',{size:14,color:'#3b82f6'})}</button>
         <button class="btn-icon btn-delete" data-id="${r.id}" aria-label="Delete ${escapeHtml(r.title)}">${icon('trash',{size:14,color:'#ef4444'})}</button>
       </td>
     </tr>`;
   }).join('');
+  _syncSelection();
 }
 
 // ── Activity Modal ─────────────────────────────────────────────────
@@ -242,17 +443,29 @@ export function openModal(record = null) {
   const tags = (getSettings().tags || []);
 
   const tagSel = document.getElementById('f-tag');
-  if (tagSel) tagSel.innerHTML = tags.map(t =>
-    `<option value="${escapeHtml(t.label)}">${escapeHtml(t.label)}</option>`).join('');
+  if (tagSel) tagSel.innerHTML = _tagOptions(tags, record?.tagIds || [tags[0]?.id]);
 
   document.getElementById('edit-id').value    = record?.id      || '';
   document.getElementById('f-title').value    = record?.title   || '';
   document.getElementById('f-date').value     = record?.dueDate || new Date().toISOString().split('T')[0];
+  document.getElementById('f-time').value     = record?.startTime || '';
   document.getElementById('f-duration').value = record?.duration != null ? record.duration : '';
   document.getElementById('f-status').value   = record?.status  || 'not-started';
   document.getElementById('f-notes').value    = record?.notes   || '';
   document.getElementById('f-urgent').checked = record?.urgent  || false;
-  if (record && tagSel) tagSel.value = record.tag;
+  document.getElementById('f-priority').value = record?.priority || 'normal';
+  fillDependencyOptions(record);
+  fillRepeatFields(record?.recurrence || null);
+  const subtaskList = document.getElementById('subtask-list');
+  if (subtaskList) subtaskList.innerHTML = '';
+  (record?.subtasks || []).forEach(st => addSubtaskRow(st, false));
+
+  const scope = document.getElementById('edit-scope');
+  if (scope) {
+    scope.hidden = !record?.seriesId;
+    scope.querySelector('input[value="this"]').checked = true;
+  }
+  syncRepeatFields();
 
   document.getElementById('modal-title').textContent = record ? 'Edit Activity' : 'New Activity';
   clearModalErrors();
@@ -260,6 +473,105 @@ export function openModal(record = null) {
   document.getElementById('f-title').focus();
 }
 
+/**
+ * Offer every other one-off activity as a prerequisite (repeating ones are
+ * left out unless already chosen), soonest due first.
+ */
+function fillDependencyOptions(record) {
+  const sel = document.getElementById('f-dependsOn');
+  if (!sel) return;
+  const self   = record?.seriesId || record?.id;
+  const chosen = new Set(record?.dependsOn || []);
+  const opts   = getRecords()
+    .filter(r => r.id !== self && (!r.recurrence || chosen.has(r.id)))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title));
+  sel.innerHTML = opts.map(r =>
+    `<option value="${escapeHtml(r.id)}" data-due="${escapeHtml(r.dueDate)}" data-title="${escapeHtml(r.title)}"${chosen.has(r.id) ? ' selected' : ''}>` +
+    `${escapeHtml(r.title)} — ${escapeHtml(r.dueDate)}${r.status === 'completed' ? ' ✓' : ''}</option>`).join('');
+  syncDependencyWarning();
+}
+
+/** Warn (without blocking the save) when the due date is before a chosen prerequisite's. */
+export function syncDependencyWarning() {
+  const warn = document.getElementById('warn-dependsOn');
+  if (!warn) return;
+  const due   = document.getElementById('f-date')?.value || '';
+  const later = [...(document.getElementById('f-dependsOn')?.selectedOptions || [])]
+    .filter(o => due && o.dataset.due > due);
+  warn.textContent = later.length
+    ? `Due before its prerequisite${later.length > 1 ? 's' : ''} ${later.map(o => `"${o.dataset.title}" (due ${o.dataset.due})`).join(', ')}.`
+    : '';
+  warn.hidden = !later.length;
+}
+
+/**
+ * Append a checklist row to the activity dialog.
+ * @param {{id?:string, title?:string, duration?:number, done?:boolean}} [st]
+ * @param {boolean} [focus] - move focus to the new row's title
+ */
+export function addSubtaskRow(st = {}, focus = true) {
+  const list = document.getElementById('subtask-list');
+  if (!list) return;
+  const li = document.createElement('li');
+  li.className = `subtask-row${st.done ? ' is-done' : ''}`;
+  li.dataset.id = st.id || '';
+  li.innerHTML = `
+    <input type="checkbox" class="subtask-done"${st.done ? ' checked' : ''}>
+    <input type="text" class="field-input subtask-title" maxlength="120" placeholder="Step…" value="${escapeHtml(st.title || '')}">
+    <input type="number" class="field-input subtask-hrs" min="0" max="24" step="0.25" placeholder="Hours" value="${st.duration || ''}">
+    <button type="button" class="btn-icon subtask-remove">${icon('x',{size:13,color:'#64748b'})}</button>`;
+  list.appendChild(li);
+  labelSubtaskRows();
+  if (focus) li.querySelector('.subtask-title').focus();
+}
+
+/** Number the checklist rows' accessible names after rows are added or removed. */
+export function labelSubtaskRows() {
+  document.querySelectorAll('#subtask-list .subtask-row').forEach((li, i) => {
+    const n = i + 1;
+    li.classList.toggle('is-done', li.querySelector('.subtask-done').checked);
+    li.querySelector('.subtask-done').setAttribute('aria-label', `Step ${n} done`);
+    li.querySelector('.subtask-title').setAttribute('aria-label', `Step ${n} title`);
+    li.querySelector('.subtask-hrs').setAttribute('aria-label', `Step ${n} hours (optional)`);
+    li.querySelector('.subtask-remove').setAttribute('aria-label', `Remove step ${n}`);
+  });
+}
+
+function fillRepeatFields(rule) {
+  const freq = !rule ? '' : rule.freq === 'daily' && rule.interval > 1 ? 'interval' : rule.freq;
+  document.getElementById('f-repeat').value   = freq;
+  document.getElementById('f-interval').value = rule?.freq === 'daily' && rule.interval > 1 ? rule.interval : 2;
+  document.getElementById('f-until').value    = rule?.until || '';
+  document.getElementById('f-count').value    = rule?.count || '';
+  document.querySelectorAll('#repeat-weekdays input').forEach(cb => {
+    cb.checked = !!rule?.weekdays.includes(Number(cb.value));
+  });
+}
+
+/**
+ * Show only the repeat inputs relevant to the chosen frequency, and hide the
+ * whole repeat block when a single occurrence is being edited.
+ */
+export function syncRepeatFields() {
+  const freq     = document.getElementById('f-repeat')?.value || '';
+  const scopeEl  = document.getElementById('edit-scope');
+  const thisOnly = scopeEl && !scopeEl.hidden &&
+                   scopeEl.querySelector('input[name="edit-scope"]:checked')?.value === 'this';
+  const show = (id, on) => { const el = document.getElementById(id); if (el) el.hidden = !on; };
+  show('repeat-fields',        !thisOnly);
+  show('repeat-interval-wrap', freq === 'interval');
+  show('repeat-weekdays',      freq === 'weekly');
+  show('repeat-end',           !!freq);
+
+  // Default a fresh weekly rule to the weekday of the due date
+  const boxes = [...document.querySelectorAll('#repeat-weekdays input')];
+  if (freq === 'weekly' && !boxes.some(cb => cb.checked)) {
+    const due = document.getElementById('f-date')?.value;
+    const day = due ? new Date(due + 'T00:00:00').getDay() : new Date().getDay();
+    boxes.forEach(cb => { cb.checked = Number(cb.value) === day; });
+  }
+}
+
 export function closeModal() {
   document.getElementById('activity-dialog')?.close();
 }
@@ -278,70 +590,244 @@ export function showModalError(field, msg) {
 
 // ── Calendar ──────────────────────────────────────────────────────
 
-let _calYear  = new Date().getFullYear();
-let _calMonth = new Date().getMonth();
+export const CAL_VIEWS = ['month', 'week', 'agenda'];
+// Days an agenda page covers
+export const AGENDA_DAYS = 28;
+// Chips shown per month cell before "+N more", which shows the rest
+const CAL_CHIPS = 3;
+const MONTHS = ['January','February','March','April','May','June',
+                'July','August','September','October','November','December'];
+
+let _calView = 'month';
+let _calDate = todayISO();   // any day in the period on screen (the agenda starts on it)
+const _calOpenDays = new Set();   // month cells showing every chip
+let _calMove = null;   // { rec, date } while a chip is being moved from the keyboard
+
+export function getCalView() { return _calView; }
+/** @param {string} view - one of CAL_VIEWS; anything else shows the month */
+export function setCalView(view) {
+  _calView = CAL_VIEWS.includes(view) ? view : 'month';
+  if (_calView === 'agenda') _calDate = todayISO();
+}
+
+/**
+ * The days a calendar view shows around `date`: its month, its Monday–Sunday
+ * week, or AGENDA_DAYS starting on it.
+ * @returns {{from:string, to:string}}
+ */
+export function calPeriod(view, date) {
+  if (view === 'week') {
+    const from = startOfWeek(date);
+    return { from, to: addDays(from, 6) };
+  }
+  if (view === 'agenda') return { from: date, to: addDays(date, AGENDA_DAYS - 1) };
+  return rangePreset('month', date);
+}
+
+/** @returns {string} a day `dir` periods of `view` away from `date`; months land on the 1st */
+export function calStep(view, date, dir) {
+  if (view !== 'month') return addDays(date, dir * (view === 'week' ? 7 : AGENDA_DAYS));
+  const [y, m] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1 + dir, 1)).toISOString().slice(0, 10);
+}
 
 export function renderCalendar() {
   const grid  = document.getElementById('cal-grid');
   const title = document.getElementById('cal-title');
   if (!grid || !title) return;
 
-  const months = ['January','February','March','April','May','June',
-                  'July','August','September','October','November','December'];
-  title.textContent = `${months[_calMonth]} ${_calYear}`;
-
-  const first   = new Date(_calYear, _calMonth, 1).getDay();
-  const daysIn  = new Date(_calYear, _calMonth + 1, 0).getDate();
-  const today   = new Date().toISOString().split('T')[0];
-  const allRecs = getRecords();
-  const tags    = (getSettings().tags || []);
-
-  grid.innerHTML = '';
-
-  for (let i = 0; i < first; i++) {
-    const cell = document.createElement('div');
-    cell.className = 'cal-cell cal-empty';
-    grid.appendChild(cell);
-  }
+  const { from, to } = calPeriod(_calView, _calDate);
+  const [y, m] = from.split('-').map(Number);
+  const short = d => new Date(d + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  title.textContent = _calView === 'month' ? `${MONTHS[m - 1]} ${y}` : `${short(from)} – ${short(to)}, ${to.slice(0, 4)}`;
+  _setText('cal-eyebrow', { month: 'Monthly View', week: 'Weekly View', agenda: 'Agenda' }[_calView]);
+  const step = { month: 'month', week: 'week', agenda: `${AGENDA_DAYS} days` }[_calView];
+  document.getElementById('cal-prev')?.setAttribute('aria-label', `Previous ${step}`);
+  document.getElementById('cal-next')?.setAttribute('aria-label', `Next ${step}`);
+  document.querySelectorAll('#cal-views [data-cal-view]').forEach(b =>
+    b.setAttribute('aria-pressed', String(b.dataset.calView === _calView)));
+  const weekdays = document.querySelector('.cal-weekdays');
+  if (weekdays) weekdays.hidden = _calView === 'agenda';
+
+  const recs  = getOccurrences({ from, to });
+  const byDay = d => recs.filter(r => r.dueDate === d);
+  grid.dataset.view = _calView;
+  grid.innerHTML = _calView === 'agenda' ? _agendaHTML(from, to, byDay)
+    : _calView === 'week' ? _weekHTML(from, byDay)
+    : _monthHTML(from, to, byDay);
+}
 
-  for (let d = 1; d <= daysIn; d++) {
-    const dateStr  = `${_calYear}-${String(_calMonth+1).padStart(2,'0')}-${String(d).padStart(2,'0')}`;
-    const dayRecs  = allRecs.filter(r => r.dueDate === dateStr);
+function _monthHTML(from, to, byDay) {
+  const today = todayISO();
+  // Weeks run Monday to Sunday, as everywhere else in the app
+  let html = '<div class="cal-cell cal-empty"></div>'.repeat((weekdayOf(from) + 6) % 7);
+  for (let dateStr = from; dateStr <= to; dateStr = addDays(dateStr, 1)) {
+    const d        = Number(dateStr.slice(8));
+    const dayRecs  = byDay(dateStr);
     const isToday  = dateStr === today;
     const hasUrgent = dayRecs.some(r => r.urgent);
+    const overdue   = dayRecs.filter(r => isOverdue(r, today)).length;
+    const shown     = _calOpenDays.has(dateStr) ? dayRecs.length : CAL_CHIPS;
+    const more      = dayRecs.length - shown;
+
+    html += `
+    <div class="cal-cell${isToday ? ' is-today' : ''}${overdue ? ' has-overdue' : ''}" data-date="${dateStr}">
+      <button class="cal-day" aria-label="${MONTHS[Number(dateStr.slice(5, 7)) - 1]} ${d}${dayRecs.length ? `: ${dayRecs.length} activities` : ''}${overdue ? `, ${overdue} overdue` : ''}">
+        <span class="cal-day-num${isToday ? ' today-num' : ''}">${d}</span>
+        ${hasUrgent ? `<span class="cal-urgent-pip">${icon('flag',{size:9,color:'#ef4444'})}</span>` : ''}
+        ${overdue ? `<span class="cal-overdue" aria-hidden="true">${overdue} overdue</span>` : ''}
+      </button>
+      ${dayRecs.slice(0, shown).map(r => _calChip(r)).join('')}
+      ${more > 0 ? `<button class="cal-more" data-date="${dateStr}" aria-label="Show ${more} more on ${MONTHS[Number(dateStr.slice(5, 7)) - 1]} ${d}">+${more} more</button>` : ''}
+    </div>`;
+  }
+  return html;
+}
 
-    const cell = document.createElement('button');
-    cell.className = `cal-cell${isToday ? ' is-today' : ''}`;
-    cell.setAttribute('aria-label', `${months[_calMonth]} ${d}${dayRecs.length ? `: ${dayRecs.length} activities` : ''}`);
-    cell.dataset.date = dateStr;
-
-    const dots = dayRecs.slice(0, 4).map(r => {
-      const tag = tags.find(t => t.label === r.tag) || { color: '#94a3b8' };
-      return `<span class="cal-dot" style="background:${tag.color}"></span>`;
-    }).join('');
-
-    cell.innerHTML = `
-      <span class="cal-day-num${isToday ? ' today-num' : ''}">${d}</span>
-      ${hasUrgent ? `<span class="cal-urgent-pip">${icon('flag',{size:9,color:'#ef4444'})}</span>` : ''}
-      <span class="cal-dots">${dots}</span>`;
+// Seven columns, each with the day's hours against its cap and every activity
+function _weekHTML(from, byDay) {
+  const today = todayISO();
+  return Array.from({ length: 7 }, (_, i) => {
+    const dateStr = addDays(from, i);
+    const dayRecs = byDay(dateStr).sort((a, b) => (a.startTime || '99') < (b.startTime || '99') ? -1 : 1);
+    const hrs     = dayRecs.filter(r => r.status !== 'canceled').reduce((s, r) => s + r.duration, 0);
+    const cap     = capFor(dateStr);
+    const isToday = dateStr === today;
+    const overdue = dayRecs.filter(r => isOverdue(r, today)).length;
+    const label   = new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+    return `
+    <div class="cal-cell cal-week-day${isToday ? ' is-today' : ''}${overdue ? ' has-overdue' : ''}" data-date="${dateStr}">
+      <button class="cal-day" aria-label="${label}: ${dayRecs.length} activities, ${hrs.toFixed(1)} of ${cap} hours${overdue ? `, ${overdue} overdue` : ''}">
+        <span class="cal-day-num${isToday ? ' today-num' : ''}">${Number(dateStr.slice(8))}</span>
+        ${overdue ? `<span class="cal-overdue" aria-hidden="true">${overdue} overdue</span>` : ''}
+      </button>
+      <span class="cal-load${hrs > cap ? ' is-over' : ''}" aria-hidden="true">${hrs.toFixed(1)} / ${cap}h</span>
+      ${dayRecs.map(r => _calChip(r, true)).join('') || '<span class="cal-more">Nothing planned</span>'}
+    </div>`;
+  }).join('');
+}
 
-    grid.appendChild(cell);
+// Days with activities, in date order; the grid scrolls when it is long
+function _agendaHTML(from, to, byDay) {
+  const today = todayISO();
+  let html = '';
+  for (let dateStr = from; dateStr <= to; dateStr = addDays(dateStr, 1)) {
+    const dayRecs = byDay(dateStr).sort((a, b) => (a.startTime || '99') < (b.startTime || '99') ? -1 : 1);
+    if (!dayRecs.length) continue;
+    const hrs   = dayRecs.filter(r => r.status !== 'canceled').reduce((s, r) => s + r.duration, 0);
+    const cap   = capFor(dateStr);
+    const label = new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+    html += `
+    <section class="cal-cell cal-agenda-day${dateStr === today ? ' is-today' : ''}" data-date="${dateStr}">
+      <h3 class="cal-agenda-hdr">
+        <button class="cal-day">${label}</button>
+        <span class="cal-load${hrs > cap ? ' is-over' : ''}">${hrs.toFixed(1)} / ${cap}h</span>
+      </h3>
+      <ul class="cal-agenda-list" role="list">
+        ${dayRecs.map(r => {
+          const tag = getTag(r.tagIds[0]);
+          return `<li class="cal-agenda-item" style="border-left-color:${tag.color}">
+            <span class="cal-agenda-time">${r.startTime || 'Any time'}</span>
+            <span class="cal-agenda-title">${escapeHtml(r.title)}${_repeatPip(r)}${r.urgent ? ` ${icon('flag',{size:11,color:'#ef4444'})}` : ''}</span>
+            <span class="cal-agenda-meta">${escapeHtml(_tagNames(r))} · ${r.duration.toFixed(1)}h · <span class="status-badge ${_statusClass(r.status)}">${r.status.replace('-',' ')}</span>${_overdueBadge(r)}</span>
+          </li>`;
+        }).join('')}
+      </ul>
+    </section>`;
   }
+  return html || `<p class="empty-hint" style="padding:1rem">Nothing planned in the next ${AGENDA_DAYS} days.</p>`;
+}
+
+// Chips can be dragged to another day, or moved from the keyboard (see #cal-move-hint)
+function _calChip(r, detailed = false) {
+  const tag  = getTag(r.tagIds[0]);
+  const text = detailed ? `${r.startTime ? `${r.startTime} ` : ''}${r.title} · ${r.duration.toFixed(1)}h` : r.title;
+  return `<div class="cal-chip${r.status === 'completed' ? ' is-done' : ''}" role="button" tabindex="0" draggable="true"
+               data-id="${escapeHtml(r.id)}" style="border-left-color:${tag.color}" aria-describedby="cal-move-hint"
+               aria-label="${escapeHtml(r.title)}, ${r.duration.toFixed(1)}h">${escapeHtml(text)}</div>`;
 }
 
+/** Step back or forward by the active view's period. */
 export function calNavigate(dir) {
-  _calMonth += dir;
-  if (_calMonth > 11) { _calMonth = 0; _calYear++; }
-  if (_calMonth < 0)  { _calMonth = 11; _calYear--; }
+  _calDate = calStep(_calView, _calDate, dir);
   renderCalendar();
 }
 
 export function calJumpToday() {
-  _calYear  = new Date().getFullYear();
-  _calMonth = new Date().getMonth();
+  _calDate = todayISO();
+  renderCalendar();
+}
+
+/** Show the period holding `dateStr`; re-renders only when the period changes. */
+export function calShowDate(dateStr) {
+  const { from, to } = calPeriod(_calView, _calDate);
+  if (dateStr >= from && dateStr <= to) return;
+  _calDate = dateStr;
   renderCalendar();
 }
 
+/**
+ * Mark the day cell `rec` would be dropped on, showing that day's load after
+ * the move against its cap. The activity's own chip is marked as grabbed.
+ * @returns {{date, label, hrs, cap}|null} null when the day isn't on screen
+ */
+export function previewCalDrop(dateStr, rec) {
+  clearCalDrop();
+  document.querySelector(`#cal-grid .cal-chip[data-id="${rec.id}"]`)?.classList.add('is-grabbed');
+  const cell = document.querySelector(`#cal-grid .cal-cell[data-date="${dateStr}"]`);
+  if (!cell) return null;
+  const hrs = getOccurrences({ from: dateStr, to: dateStr })
+    .filter(r => r.id !== rec.id && r.status !== 'canceled')
+    .reduce((sum, r) => sum + r.duration, rec.status === 'canceled' ? 0 : rec.duration);
+  const cap = capFor(dateStr);
+  cell.classList.add('is-drop-target');
+  cell.classList.toggle('is-drop-over', hrs > cap);
+  cell.insertAdjacentHTML('beforeend', `<span class="cal-drop-load">${hrs.toFixed(1)} / ${cap}h</span>`);
+  return { date: dateStr, label: _dayLabel(dateStr), hrs, cap };
+}
+
+export function clearCalDrop() {
+  document.querySelectorAll('#cal-grid .is-drop-target').forEach(c => c.classList.remove('is-drop-target', 'is-drop-over'));
+  document.querySelectorAll('#cal-grid .cal-drop-load').forEach(el => el.remove());
+  document.querySelectorAll('#cal-grid .is-grabbed').forEach(el => el.classList.remove('is-grabbed'));
+}
+
+/**
+ * Show every chip in a month cell instead of the first CAL_CHIPS, and focus
+ * the first one that was hidden.
+ */
+export function calShowAll(dateStr) {
+  _calOpenDays.add(dateStr);
+  renderCalendar();
+  document.querySelectorAll(`#cal-grid .cal-cell[data-date="${dateStr}"] .cal-chip`)[CAL_CHIPS]?.focus();
+}
+
+// Keyboard moves: a chip is picked up, stepped day by day (the calendar
+// follows into the next period) and dropped or put back. Each step returns
+// the target day's preview, see previewCalDrop.
+
+/** @returns {{rec, date}|null} the keyboard move under way */
+export function getCalMove() { return _calMove; }
+
+export function startCalMove(rec) {
+  _calMove = { rec, date: rec.dueDate };
+  return previewCalDrop(rec.dueDate, rec);
+}
+
+export function stepCalMove(days) {
+  _calMove.date = addDays(_calMove.date, days);
+  calShowDate(_calMove.date);
+  return previewCalDrop(_calMove.date, _calMove.rec);
+}
+
+/** @returns {{rec, date}|null} what was being moved and the day it was over */
+export function endCalMove() {
+  const move = _calMove;
+  _calMove = null;
+  clearCalDrop();
+  return move;
+}
+
 // ── Calendar Day Overlay ──────────────────────────────────────────
 
 export function openDayOverlay(dateStr) {
@@ -354,22 +840,24 @@ export function openDayOverlay(dateStr) {
   const d   = new Date(dateStr + 'T00:00:00');
   titleEl.textContent = d.toLocaleDateString('en-US',{weekday:'long',month:'long',day:'numeric',year:'numeric'});
 
-  const recs = getRecords().filter(r => r.dueDate === dateStr);
-  const tags = (getSettings().tags || []);
+  const recs = getOccurrences({ from: dateStr, to: dateStr })
+    .sort((a, b) => (a.startTime || '99') < (b.startTime || '99') ? -1 : 1);
+
+  renderDayTimeline(dateStr);
 
   if (!recs.length) {
     listEl.innerHTML = `<p class="empty-hint" style="padding:1rem">No activities on this day.</p>`;
   } else {
     listEl.innerHTML = recs.map(r => {
-      const tag   = tags.find(t => t.label === r.tag) || { color: '#94a3b8' };
+      const tag   = getTag(r.tagIds[0]);
       const stCls = _statusClass(r.status);
       return `<div class="overlay-item" style="border-left:4px solid ${tag.color}">
         <div>
-          <span class="overlay-item-title">${escapeHtml(r.title)}</span>
+          <span class="overlay-item-title">${escapeHtml(r.title)}${_repeatPip(r)}</span>
           ${r.urgent ? `<span class="urgent-pip" style="margin-left:.4rem">${icon('flag',{size:11,color:'#ef4444'})}</span>` : ''}
           <div class="overlay-item-meta">
             <span class="tag-dot" style="background:${tag.color}"></span>
-            ${escapeHtml(r.tag)} · ${r.duration.toFixed(1)}h · <span class="status-badge ${stCls}">${r.status.replace('-',' ')}</span>
+            ${escapeHtml(_tagNames(r))}${r.startTime ? ` · ${r.startTime}` : ''} · ${r.duration.toFixed(1)}h${_subtaskChip(r)} · <span class="status-badge ${stCls}">${r.status.replace('-',' ')}</span>${_overdueBadge(r)}
           </div>
         </div>
         <button class="btn-icon btn-edit" data-id="${r.id}" aria-label="Edit ${escapeHtml(r.title)}">${icon('pencil',{size:14,color:'#3b82f6'})}</button>
@@ -379,13 +867,233 @@ export function openDayOverlay(dateStr) {
 
   if (addBtn) addBtn.onclick = () => { closeDayOverlay(); openModal({ dueDate: dateStr }); };
 
+  const rebalanceBtn = document.getElementById('day-overlay-rebalance');
+  if (rebalanceBtn) {
+    const dayHrs = recs.reduce((s, r) => s + r.duration, 0);
+    rebalanceBtn.hidden = !(dateStr >= todayISO() && dayHrs > capFor(dateStr));
+    rebalanceBtn.dataset.date = dateStr;
+  }
+
   overlay.showModal();
 }
 
+function renderDayTimeline(dateStr) {
+  const wrap = document.getElementById('day-overlay-timeline');
+  if (!wrap) return;
+  const tl   = computeDayTimeline(dateStr);
+  const span = (tl.endHour - tl.startHour) * 60;
+  const pos  = (start, end) => `top:${((start - tl.startHour * 60) / span) * 100}%;height:${((end - start) / span) * 100}%`;
+
+  const overlapCount = tl.blocks.filter(b => b.overlaps).length;
+  const freeText = tl.gaps.length
+    ? tl.gaps.map(g => `${g.from}–${g.to} (${g.hrs.toFixed(1)}h)`).join(' · ')
+    : 'none';
+  const capText = tl.remaining >= 0
+    ? `${tl.remaining.toFixed(1)}h of your ${tl.cap}h cap left to fill them`
+    : `<span class="cap-over-txt">over your ${tl.cap}h cap by ${Math.abs(tl.remaining).toFixed(1)}h</span>`;
+
+  const hours = [];
+  for (let h = tl.startHour; h < tl.endHour; h++) hours.push(`<div class="timeline-hour">${String(h).padStart(2,'0')}:00</div>`);
+
+  const gaps = tl.gaps.map(g => `<div class="timeline-gap" style="${pos(g.start, g.end)}" aria-hidden="true"></div>`).join('');
+  const blocks = tl.blocks.map(b => {
+    const tag   = getTag(b.rec.tagIds[0]);
+    const width = 100 / tl.lanes;
+    const end   = minutesToTime(b.end);
+    return `<div class="timeline-block${b.overlaps ? ' is-overlap' : ''}" role="listitem"
+                 style="${pos(b.start, Math.max(b.end, b.start + 15))};left:${b.lane * width}%;width:calc(${width}% - 4px);border-left-color:${tag.color}"
+                 aria-label="${escapeHtml(b.rec.title)}, ${b.rec.startTime} to ${end}${b.overlaps ? ', overlaps another activity' : ''}">
+      <span class="timeline-block-time">${b.rec.startTime}–${end}</span>${escapeHtml(b.rec.title)}
+    </div>`;
+  }).join('');
+
+  wrap.innerHTML = `
+    <p class="timeline-summary">
+      <strong>${tl.totalHrs.toFixed(1)}h</strong> planned${overlapCount ? ` · <span class="cap-over-txt">${overlapCount} overlapping</span>` : ''}.
+      Free: ${freeText} — ${capText}.
+    </p>
+    <div class="timeline" style="--tl-hour:36px">
+      <div class="timeline-hours" aria-hidden="true">${hours.join('')}</div>
+      <div class="timeline-track" role="list" style="height:${(tl.endHour - tl.startHour) * 36}px">${gaps}${blocks}</div>
+    </div>
+    ${tl.unscheduled.length ? `<p class="timeline-unscheduled">No start time: ${tl.unscheduled.map(r => escapeHtml(r.title)).join(', ')}</p>` : ''}`;
+}
+
 export function closeDayOverlay() {
   document.getElementById('day-overlay')?.close();
 }
 
+// ── Rebalance Plan ────────────────────────────────────────────────
+
+/**
+ * Show a plan from planRebalance as a diff: per-day load before → after,
+ * then each proposed move. Apply stays disabled when nothing can move.
+ */
+export function openRebalanceDialog(plan) {
+  const dialog = document.getElementById('rebalance-dialog');
+  const body   = document.getElementById('rebalance-body');
+  const apply  = document.getElementById('rebalance-apply');
+  if (!dialog || !body) return;
+  const fmt = d => new Date(d + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+  const days = Object.entries(plan.days).sort(([a], [b]) => a < b ? -1 : 1).map(([d, v]) =>
+    `<span class="plan-day">${fmt(d)}: ${v.before.toFixed(1)}h → ${v.after.toFixed(1)}h of ${capFor(d)}h</span>`).join('');
+
+  const moves = plan.moves.map(m => `
+    <div class="plan-move" role="listitem">
+      <span class="plan-move-title">${escapeHtml(m.title)}</span> <span class="dur-badge">${m.duration.toFixed(1)}h</span>
+      <div class="plan-move-dates">
+        <del aria-label="from ${fmt(m.from)}">${fmt(m.from)}</del> → <ins aria-label="to ${fmt(m.to)}">${fmt(m.to)}</ins>
+      </div>
+    </div>`).join('');
+
+  const unresolved = plan.unresolved.length
+    ? `<p class="plan-note">Still over their cap: ${plan.unresolved.map(u =>
+        `${fmt(u.date)} (+${u.over.toFixed(1)}h)`).join(', ')} — only non-urgent, not-started activities can move, and only to an earlier day with room.</p>`
+    : '';
+
+  body.innerHTML = plan.moves.length
+    ? `<p class="plan-note">${plan.moves.length} move${plan.moves.length !== 1 ? 's' : ''} proposed against each day's cap. Nothing changes until you apply.</p>
+       <div class="plan-days">${days}</div>
+       <div role="list" style="display:flex;flex-direction:column;gap:.5rem">${moves}</div>
+       ${unresolved}`
+    : `<p class="empty-hint">No activities can be moved to an earlier day with spare capacity.</p>${unresolved}`;
+
+  if (apply) apply.disabled = !plan.moves.length;
+  dialog.showModal();
+  (plan.moves.length ? apply : document.getElementById('rebalance-cancel'))?.focus();
+}
+
+export function closeRebalanceDialog() {
+  document.getElementById('rebalance-dialog')?.close();
+}
+
+// ── Merge Import ──────────────────────────────────────────────────
+
+const MERGE_LABELS = {
+  title: 'Title', dueDate: 'Due', startTime: 'Start', duration: 'Duration', tagIds: 'Tags',
+  notes: 'Notes', urgent: 'Urgent', priority: 'Priority', status: 'Status', subtasks: 'Checklist', dependsOn: 'Depends on', actualMinutes: 'Time logged', recurrence: 'Repeats'
+};
+
+/**
+ * Show a plan from planMerge: counts, then one fieldset per conflict with
+ * the differing fields side by side and a keep-mine / take-imported choice.
+ */
+export function openMergeDialog(plan) {
+  const dialog = document.getElementById('merge-dialog');
+  if (!dialog) return;
+  const n = plan.conflicts.length;
+  _setText('merge-summary',
+    `${plan.added.length} new, ${plan.updated.length} newer than yours, ${plan.skipped.length} unchanged or older` +
+    (n ? `, ${n} changed on both sides — choose which copy to keep.` : '.') +
+    ' Activities only on this device are kept.' +
+    (plan.newTags?.length ? ` New tags: ${plan.newTags.map(t => t.label).join(', ')}.` : ''));
+  const bulk = document.getElementById('merge-bulk');
+  if (bulk) bulk.hidden = n < 2;
+
+  // Prerequisites by title: ours, else one arriving in this import, else the bare id
+  const depTitle = id => getRecord(id)?.title || plan.added.find(r => r.id === id)?.title;
+  const fmt = (k, v) =>
+    k === 'recurrence' ? describeRecurrence(v) :
+    k === 'actualMinutes' ? `${v} min` :
+    k === 'dependsOn'  ? (v.length ? v.map(id => depTitle(id) ? `"${depTitle(id)}"` : id).join(', ') : '—') :
+    k === 'subtasks'   ? (v.length ? `${v.filter(st => st.done).length}/${v.length} done: ${v.map(st => st.title).join(', ')}` : '—') :
+    k === 'urgent'     ? (v ? 'Yes' : 'No') :
+    k === 'tagIds'     ? v.map(tagLabel).join(', ') :
+    k === 'duration'   ? `${v}h` :
+    (v === '' ? '—' : String(v));
+  const when = iso => new Date(iso).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+  const list = document.getElementById('merge-conflicts');
+  if (list) list.innerHTML = plan.conflicts.map(c => `
+    <fieldset class="merge-conflict">
+      <legend>${escapeHtml(c.local.title)}</legend>
+      <table class="merge-diff">
+        <thead><tr><th scope="col">Field</th><th scope="col">This device</th><th scope="col">Imported</th></tr></thead>
+        <tbody>
+          ${c.fields.map(k => `<tr><th scope="row">${MERGE_LABELS[k]}</th><td>${escapeHtml(fmt(k, c.local[k]))}</td><td>${escapeHtml(fmt(k, c.incoming[k]))}</td></tr>`).join('')}
+          <tr><th scope="row">Last edited</th><td>${when(c.local.updatedAt)}</td><td>${when(c.incoming.updatedAt)}</td></tr>
+        </tbody>
+      </table>
+      <div class="merge-choice">
+        <label><input type="radio" name="merge-${escapeHtml(c.id)}" value="local"${c.winner === 'local' ? ' checked' : ''}> Keep mine</label>
+        <label><input type="radio" name="merge-${escapeHtml(c.id)}" value="incoming"${c.winner === 'incoming' ? ' checked' : ''}> Take imported</label>
+      </div>
+    </fieldset>`).join('');
+
+  const apply = document.getElementById('merge-apply');
+  if (apply) apply.disabled = !plan.added.length && !plan.updated.length && !n;
+  dialog.showModal();
+  (apply?.disabled ? document.getElementById('merge-cancel') : apply)?.focus();
+}
+
+/** @returns {Object<string, 'local'|'incoming'>} the choice made for each conflict */
+export function readMergeChoices() {
+  const choices = {};
+  document.querySelectorAll('#merge-conflicts input[type="radio"]:checked').forEach(r => {
+    choices[r.name.slice('merge-'.length)] = r.value;
+  });
+  return choices;
+}
+
+export function closeMergeDialog() {
+  document.getElementById('merge-dialog')?.close();
+}
+
+// ── Import Preview ────────────────────────────────────────────────
+
+const MAX_LISTED_ERRORS = 50;
+
+/**
+ * Show (or refresh) the import preview. For CSV, `headers` and `mapping`
+ * render the column pickers; `errors` are rows that will be skipped.
+ * @param {{title:string, headers?:string[], fields?:object[], mapping?:object,
+ *          records:object[], errors:{row:number, message:string}[], rowLabel:string,
+ *          newTags:string[]}} preview
+ */
+export function openImportDialog(preview) {
+  const dialog = document.getElementById('import-dialog');
+  if (!dialog) return;
+  const { headers, fields, mapping, records, errors, rowLabel, newTags } = preview;
+  _setText('import-title', preview.title);
+
+  const mapEl = document.getElementById('import-mapping');
+  const grid  = document.getElementById('import-mapping-grid');
+  if (mapEl) mapEl.hidden = !headers;
+  // Rebuild the pickers only when opening, so focus survives a mapping change
+  if (headers && grid && !dialog.open) {
+    grid.innerHTML = fields.map(f => `
+      <label>${escapeHtml(f.label)}${f.required ? ' *' : ''}
+        <select data-field="${f.key}">
+          <option value="">— not in file —</option>
+          ${headers.map((h, i) => `<option value="${i}"${mapping[f.key] === i ? ' selected' : ''}>${escapeHtml(h || `Column ${i + 1}`)}</option>`).join('')}
+        </select>
+      </label>`).join('');
+  }
+
+  const tagNote = newTags.length ? ` New tag${newTags.length !== 1 ? 's' : ''} will be created: ${newTags.join(', ')}.` : '';
+  _setText('import-summary', `${records.length} ready to import, ${errors.length} ${rowLabel.toLowerCase()}${errors.length !== 1 ? 's' : ''} will be skipped.${tagNote}`);
+
+  const list = document.getElementById('import-errors');
+  if (list) list.innerHTML = errors.slice(0, MAX_LISTED_ERRORS).map(e =>
+    `<li>${escapeHtml(rowLabel)} ${e.row}: ${escapeHtml(e.message)}</li>`).join('') +
+    (errors.length > MAX_LISTED_ERRORS ? `<li>…and ${errors.length - MAX_LISTED_ERRORS} more.</li>` : '');
+
+  const apply = document.getElementById('import-apply');
+  if (apply) {
+    apply.disabled    = !records.length;
+    apply.textContent = `Add ${records.length} activit${records.length === 1 ? 'y' : 'ies'}`;
+  }
+  if (!dialog.open) {
+    dialog.showModal();
+    (headers ? grid?.querySelector('select') : apply)?.focus();
+  }
+}
+
+export function closeImportDialog() {
+  document.getElementById('import-dialog')?.close();
+}
+
 // ── Stats ─────────────────────────────────────────────────────────
 
 export function renderStatsSection() {
@@ -417,6 +1125,14 @@ export function renderStatsSection() {
     }).join('');
   }
 
+  const est = stats.estimation;
+  _setText('m-accuracy', est.accuracy == null ? '—' : `${est.accuracy}%`);
+  const aBar = document.getElementById('m-accuracy-bar');
+  if (aBar) aBar.style.width = `${est.accuracy || 0}%`;
+  renderEstimateTable(stats);
+
+  renderAnalytics();
+
   _setText('m-reliability', `${reliability}%`);
   _setText('m-overuse',     `${stats.overPerc}%`);
   const rBar = document.getElementById('m-reliability-bar');
@@ -425,41 +1141,448 @@ export function renderStatsSection() {
   if (oBar) oBar.style.width = `${stats.overPerc}%`;
 }
 
+// ── Statistics: History ───────────────────────────────────────────
+
+let _statsRange = { preset: 'month', ...rangePreset('month') };
+
+/**
+ * @param {'week'|'month'|'semester'|'custom'} preset
+ * @param {{from:string, to:string}} [custom] - required for 'custom'
+ */
+export function setStatsRange(preset, custom) {
+  const { from, to } = preset === 'custom' ? custom : rangePreset(preset);
+  _statsRange = { preset, from, to };
+}
+export function getStatsRange() { return { ..._statsRange }; }
+
+function renderAnalytics() {
+  const a    = computeAnalytics(_statsRange);
+  const tags = getSettings().tags || [];
+  const colorOf = label => (tags.find(t => t.label === label) || { color: '#94a3b8' }).color;
+  const hrs  = h => `${h.toFixed(1)}h`;
+  const plural = (n, one, many = `${one}s`) => `${n} ${n === 1 ? one : many}`;
+
+  document.querySelectorAll('#range-picker [data-range]').forEach(b =>
+    b.setAttribute('aria-pressed', String(b.dataset.range === _statsRange.preset)));
+  const custom = document.getElementById('range-custom');
+  if (custom) custom.hidden = _statsRange.preset !== 'custom';
+  const fromEl = document.getElementById('range-from'), toEl = document.getElementById('range-to');
+  if (fromEl) fromEl.value = a.from;
+  if (toEl)   toEl.value   = a.to;
+
+  const t = a.totals;
+  _setText('analytics-summary', `${_dayLabel(a.from)} – ${_dayLabel(a.to)}: ${hrs(t.hrs)} across ${plural(t.count, 'activity', 'activities')}` +
+    (t.rate == null ? '.' : `, ${t.rate}% completed.`) +
+    (t.overDays ? ` ${plural(t.overDays, 'day')} over their cap.` : ''));
+
+  // Hours per day, with the daily cap as a dashed line; weekday caps show in each bar's title
+  const daily = document.getElementById('chart-daily');
+  if (daily) {
+    const max  = Math.max(a.cap, ...a.days.map(d => d.hrs));
+    const peak = a.days.reduce((p, d) => (d.hrs > p.hrs ? d : p), a.days[0]);
+    daily.innerHTML = a.days.map(d => `<div class="chart-bar${d.hrs > d.cap ? ' is-over' : ''}${d.hrs ? '' : ' is-empty'}"
+        style="height:${(d.hrs / max) * 100}%" title="${_dayLabel(d.date)}: ${hrs(d.hrs)} of ${d.cap}h (${plural(d.count, 'activity', 'activities')})"></div>`).join('') +
+      `<div class="chart-cap" style="bottom:${(a.cap / max) * 100}%" title="Daily cap ${a.cap}h"></div>`;
+    daily.setAttribute('aria-label', peak?.hrs
+      ? `Hours per day. Peak ${hrs(peak.hrs)} on ${_dayLabel(peak.date)}; ${plural(t.overDays, 'day')} over their cap.`
+      : 'Hours per day: nothing scheduled in this range.');
+  }
+
+  // Hours per tag, stacked by week
+  const tagChart = document.getElementById('chart-tags');
+  if (tagChart) {
+    const max = Math.max(1, ...a.weeks.map(w => w.hrs));
+    tagChart.innerHTML = a.weeks.map(w => `<div class="chart-bar${w.hrs ? '' : ' is-empty'}" style="height:${(w.hrs / max) * 100}%;background:none"
+        title="Week of ${_dayLabel(w.start)}: ${Object.entries(w.byTag).map(([tag, h]) => `${tag} ${hrs(h)}`).join(', ') || 'nothing'}">
+        ${a.tagTotals.filter(x => w.byTag[x.tag]).map(x => `<span style="height:${(w.byTag[x.tag] / w.hrs) * 100}%;background:${colorOf(x.tag)}"></span>`).join('')}
+      </div>`).join('');
+    tagChart.setAttribute('aria-label', a.tagTotals.length
+      ? `Hours per tag: ${a.tagTotals.map(x => `${x.tag} ${hrs(x.hrs)}`).join(', ')}.`
+      : 'Hours per tag: nothing scheduled in this range.');
+  }
+  const legend = document.getElementById('chart-tags-legend');
+  if (legend) legend.innerHTML = a.tagTotals.map(x =>
+    `<span><i style="background:${colorOf(x.tag)}"></i>${escapeHtml(x.tag)} ${hrs(x.hrs)}</span>`).join('');
+
+  // Completion rate by week
+  const completion = document.getElementById('chart-completion');
+  if (completion) {
+    const rated = a.weeks.filter(w => w.rate != null);
+    completion.innerHTML = a.weeks.map(w => `<div class="chart-bar${w.rate ? '' : ' is-empty'}" style="height:${w.rate || 0}%"
+        title="Week of ${_dayLabel(w.start)}: ${w.rate == null ? 'nothing scheduled' : `${w.rate}% (${w.completed} of ${w.total})`}"></div>`).join('');
+    completion.setAttribute('aria-label', rated.length
+      ? `Completion rate by week, from ${rated[0].rate}% in the first week to ${rated.at(-1).rate}% in the last; ${t.rate}% overall.`
+      : 'Completion rate: nothing scheduled in this range.');
+  }
+
+  // Busiest weekday
+  const weekdays = document.getElementById('chart-weekdays');
+  if (weekdays) {
+    const max = Math.max(0.1, ...a.weekdays.map(w => w.avg));
+    weekdays.innerHTML = a.weekdays.map(w => `<div class="chart-bar${w.label === a.busiest ? ' is-top' : ''}${w.avg ? '' : ' is-empty'}"
+        style="height:${(w.avg / max) * 100}%" title="${w.label}: ${hrs(w.avg)} on average over ${plural(w.days, 'day')}">
+        <span class="chart-bar-label">${w.label}</span></div>`).join('');
+    const top = a.weekdays.find(w => w.label === a.busiest);
+    weekdays.setAttribute('aria-label', top
+      ? `Average hours by weekday. Busiest is ${top.label} with ${hrs(top.avg)} on average.`
+      : 'Average hours by weekday: nothing scheduled in this range.');
+  }
+
+  // Heatmap: one column per week, Monday at the top
+  const heat = document.getElementById('chart-heatmap');
+  if (heat) {
+    const level = d => d.load > 1 ? 'heat-over' : d.load > .9 ? 'heat-3' : d.load >= .5 ? 'heat-2' : d.load > 0 ? 'heat-1' : 'heat-0';
+    const pad   = (weekdayOf(a.from) + 6) % 7;
+    heat.innerHTML = '<i class="heat-pad"></i>'.repeat(pad) +
+      a.days.map(d => `<i class="${level(d)}" title="${_dayLabel(d.date)}: ${hrs(d.hrs)} of ${d.cap}h"></i>`).join('');
+    heat.setAttribute('aria-label', `Daily load: ${plural(t.overDays, 'day')} of ${a.days.length} over their cap.`);
+  }
+}
+
+function renderEstimateTable({ estimation: est, estimationByTag }) {
+  const table = document.getElementById('estimate-table');
+  const tbody = document.getElementById('estimate-tbody');
+  if (!table || !tbody) return;
+  const hrs  = h => `${h.toFixed(1)}h`;
+  const diff = e => {
+    if (!e.plannedHrs) return '';
+    const pct = Math.round((e.actualHrs - e.plannedHrs) / e.plannedHrs * 100);
+    return pct > 0 ? ` <span class="estimate-over">(+${pct}%)</span>` : pct < 0 ? ` <span class="estimate-under">(${pct}%)</span>` : '';
+  };
+
+  _setText('estimate-summary', est.count
+    ? `${est.count} activit${est.count === 1 ? 'y has' : 'ies have'} focus time logged: ${hrs(est.actualHrs)} actual against ${hrs(est.plannedHrs)} planned.`
+    + ' Accuracy counts completed activities only.'
+    : 'Start the focus timer (▶) on an activity to compare planned and actual time.');
+  table.hidden = !est.count;
+  tbody.innerHTML = estimationByTag.map(e => `
+    <tr>
+      <th scope="row">${escapeHtml(e.tag)}</th>
+      <td>${e.count}</td>
+      <td>${hrs(e.plannedHrs)}</td>
+      <td>${hrs(e.actualHrs)}${diff(e)}</td>
+      <td>${e.accuracy == null ? '—' : `${e.accuracy}%`}</td>
+    </tr>`).join('');
+}
+
+// ── Weekly Review ─────────────────────────────────────────────────
+
+let _reviewWeek = startOfWeek(addDays(todayISO(), -7));
+
+/** @param {string} date - any day of the week to review */
+export function setReviewWeek(date) { _reviewWeek = startOfWeek(date); }
+export function getReviewWeek()     { return _reviewWeek; }
+
+/** @returns {object} the review on screen, from computeWeeklyReview */
+export function renderReview() {
+  const r   = computeWeeklyReview(_reviewWeek);
+  const t   = r.totals;
+  const hrs = h => `${h.toFixed(1)}h`;
+  const row = (label, meta) => `<li><span>${label}</span><span class="review-meta">${meta}</span></li>`;
+  const empty = text => `<li class="plan-note">${text}</li>`;
+  const item  = rec => row(escapeHtml(rec.title),
+    `${_dayLabel(rec.dueDate)} · ${escapeHtml(rec.tag)} · ${hrs(rec.duration)}${rec.recurrence || rec.seriesId ? ' · repeats' : ''}`);
+
+  _setText('review-range', `${_dayLabel(r.from)} – ${_dayLabel(r.to)}`);
+  _setText('review-planned', hrs(t.plannedHrs));
+  _setText('review-completed', t.rate == null ? hrs(t.completedHrs) : `${hrs(t.completedHrs)} · ${t.rate}%`);
+  _setText('review-slipped-count', r.slipped.length);
+  _setText('review-over-count', r.overDays.length);
+
+  const next = document.getElementById('review-next');
+  if (next) next.disabled = r.from >= startOfWeek(todayISO());
+
+  const table = document.getElementById('review-tag-table');
+  const tbody = document.getElementById('review-tag-tbody');
+  _setText('review-tag-note', t.count
+    ? `${t.completed} of ${t.count} activit${t.count === 1 ? 'y' : 'ies'} completed.`
+    : 'Nothing was planned this week.');
+  if (table) table.hidden = !t.count;
+  if (tbody) tbody.innerHTML = r.byTag.map(g => `
+    <tr>
+      <th scope="row">${escapeHtml(g.tag)}</th>
+      <td>${g.completed}/${g.count}</td>
+      <td>${hrs(g.plannedHrs)}</td>
+      <td>${hrs(g.completedHrs)}</td>
+    </tr>`).join('');
+
+  const over = document.getElementById('review-over-list');
+  if (over) over.innerHTML = r.overDays.map(d => row(_dayLabel(d.date), `${hrs(d.hrs)} of ${d.cap}h`)).join('')
+    || empty('Every day stayed within its cap.');
+  const slipped = document.getElementById('review-slipped-list');
+  if (slipped) slipped.innerHTML = r.slipped.map(item).join('') || empty('Nothing slipped.');
+  const carried = document.getElementById('review-carried-list');
+  if (carried) carried.innerHTML = r.carriedOver.map(item).join('') || empty('Nothing carried over.');
+
+  const movable = [...r.slipped, ...r.carriedOver].filter(rec => !rec.seriesId).length;
+  const skipped = r.slipped.length + r.carriedOver.length - movable;
+  _setText('review-rollover-note', movable
+    ? `${movable} unfinished activit${movable === 1 ? 'y moves' : 'ies move'} to the same weekday next week (today at the earliest).`
+      + (skipped ? ' Repeating activities stay where they are.' : '')
+    : skipped ? 'Only repeating activities are unfinished; they stay where they are.' : 'Nothing to roll over.');
+  const btn = document.getElementById('review-rollover');
+  if (btn) btn.disabled = !movable;
+  return r;
+}
+
+// ── Focus Timer ───────────────────────────────────────────────────
+
+/** Show the running focus round (or break) and its countdown. */
+export function renderFocusBar(now = Date.now()) {
+  const bar = document.getElementById('focus-bar');
+  if (!bar) return;
+  const f = getFocus();
+  bar.hidden = !f;
+  if (!f) return;
+  const left = Math.max(0, Math.ceil((f.endsAt - now) / 1000));
+  bar.classList.toggle('is-break', f.phase === 'break');
+  _setText('focus-phase', f.phase === 'break' ? 'Break' : 'Focus');
+  _setText('focus-title', f.title);
+  _setText('focus-clock', `${String(Math.floor(left / 60)).padStart(2, '0')}:${String(left % 60).padStart(2, '0')}`);
+  const stop = document.getElementById('focus-stop');
+  if (stop) stop.textContent = f.phase === 'break' ? 'End break' : 'Stop & log';
+  document.getElementById('focus-discard')?.toggleAttribute('hidden', f.phase === 'break');
+}
+
 // ── Settings ──────────────────────────────────────────────────────
 
 export function renderSettings() {
   const s = getSettings();
   const capEl = document.getElementById('s-daily-cap');
   if (capEl) capEl.value = s.dailyCap || 8;
+  document.querySelectorAll('.s-weekday-cap').forEach(el => {
+    el.value = (s.weekdayCaps || [])[el.dataset.day] ?? '';
+    el.placeholder = s.dailyCap || 8;
+  });
+  const policyEl = document.getElementById('s-overdue-policy');
+  if (policyEl) policyEl.value = s.overduePolicy || 'leave';
 
   const tagList = document.getElementById('tag-list');
   if (!tagList) return;
-  tagList.innerHTML = (s.tags || []).map(t => `
-    <li class="tag-row">
-      <div style="display:flex;align-items:center;gap:.6rem">
-        <span class="tag-color-swatch" style="background:${t.color}"></span>
-        <span>${escapeHtml(t.label)}</span>
+  const tags = s.tags || [];
+  const parentSel = document.getElementById('new-tag-parent');
+  if (parentSel) parentSel.innerHTML = `<option value="">Top level</option>` + _tagOptions(tags);
+  if (_tagAction && !tags.some(t => t.id === _tagAction.id)) _tagAction = null;
+  tagList.innerHTML = _tagTree(tags).map(({ tag: t, depth }) => {
+    const id    = escapeHtml(t.id);
+    const label = escapeHtml(t.label);
+    const uses  = tagUsage(t.id);
+    const below = tagDescendants(t.id);
+    return `
+    <li class="tag-row"${depth ? ` style="margin-left:${depth * 1.25}rem"` : ''}>
+      <div class="tag-name">
+        <input type="color" class="tag-color" data-id="${id}" value="${escapeHtml(t.color)}" aria-label="Colour for ${label}">
+        <input type="text" class="tag-label" data-id="${id}" value="${label}" maxlength="24" aria-label="Name of ${label}">
+        <span class="tag-usage">${uses} activit${uses === 1 ? 'y' : 'ies'}</span>
       </div>
+      <select class="tag-parent" data-id="${id}" aria-label="Nest ${label} under">
+        <option value="">Top level</option>
+        ${_tagOptions(tags.filter(o => !below.has(o.id)), [t.parentId])}
+      </select>
+      <input type="number" class="tag-weight" data-id="${id}" min="0" max="5" step="0.5"
+             value="${t.weight ?? 1}" aria-label="Priority weight for ${label}">
+      <input type="number" class="tag-budget" data-id="${id}" data-key="dailyBudget" min="0" max="24" step="0.5"
+             value="${t.dailyBudget ?? ''}" placeholder="h/day" aria-label="Daily hour budget for ${label}">
+      <input type="number" class="tag-budget" data-id="${id}" data-key="weeklyBudget" min="0" max="168" step="0.5"
+             value="${t.weeklyBudget ?? ''}" placeholder="h/week" aria-label="Weekly hour budget for ${label}">
       ${!t.protected
-        ? `<button class="btn-icon btn-del-tag" data-id="${escapeHtml(t.id)}" aria-label="Remove ${escapeHtml(t.label)}">${icon('trash',{size:14,color:'#ef4444'})}</button>`
+        ? `<button class="btn-sm btn-merge-tag" data-id="${id}" aria-expanded="${_tagAction?.id === t.id && _tagAction.mode === 'merge'}">Merge…</button>
+           <button class="btn-icon btn-del-tag" data-id="${id}" aria-label="Remove ${label}">${icon('trash',{size:14,color:'#ef4444'})}</button>`
         : `<span class="core-badge">core</span>`}
-    </li>`).join('');
+      ${_tagAction?.id === t.id ? _tagActionPanel(t, uses, tags) : ''}
+    </li>`;
+  }).join('');
+
+  const daysEl = document.getElementById('s-snapshot-days');
+  if (daysEl) daysEl.value = s.snapshotRetention || 7;
+  renderSnapshotList();
+}
+
+let _tagAction = null;   // { id, mode: 'merge'|'delete' } while a tag row asks for a target
+
+/**
+ * Open (or, with no id, close) the panel under a tag row that picks where its
+ * activities go — for a merge, or for deleting a tag that is still in use.
+ * @param {string|null} id
+ * @param {'merge'|'delete'} [mode]
+ */
+export function setTagAction(id, mode = 'merge') {
+  _tagAction = id ? { id, mode } : null;
+  renderSettings();
+  document.getElementById(id ? 'tag-action-target' : 'new-tag-name')?.focus();
+}
+
+function _tagActionPanel(tag, uses, tags) {
+  const others = tags.filter(t => t.id !== tag.id);
+  const what   = `${uses} activit${uses === 1 ? 'y' : 'ies'}`;
+  const text   = _tagAction.mode === 'delete'
+    ? `${escapeHtml(tag.label)} is used by ${what}. Move them to`
+    : `Merge ${escapeHtml(tag.label)} (${what}) into`;
+  return `<div class="tag-action" role="group" aria-label="${_tagAction.mode === 'delete' ? 'Delete' : 'Merge'} ${escapeHtml(tag.label)}">
+      <label for="tag-action-target">${text}</label>
+      <select id="tag-action-target" class="field-input">${_tagOptions(others)}</select>
+      <button class="btn-sm" id="tag-action-apply" data-id="${escapeHtml(tag.id)}">${_tagAction.mode === 'delete' ? 'Move &amp; delete' : 'Merge'}</button>
+      <button class="btn-sm" id="tag-action-cancel">Cancel</button>
+    </div>`;
+}
+
+/** List restore points; the one being previewed is marked. */
+export function renderSnapshotList(previewId = null) {
+  const list = document.getElementById('snapshot-list');
+  if (!list) return;
+  const snaps = getSnapshots();
+  list.innerHTML = snaps.length ? snaps.map(snap => `
+    <li class="snapshot-row${snap.id === previewId ? ' is-previewing' : ''}">
+      <div>
+        <div>${_dayLabel(snap.date)}</div>
+        <div class="snapshot-meta">${snap.recordCount} activit${snap.recordCount === 1 ? 'y' : 'ies'} · taken ${new Date(snap.createdAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}</div>
+      </div>
+      <button class="btn-sm btn-preview-snapshot" data-id="${escapeHtml(snap.id)}"
+              aria-label="Preview restoring ${_dayLabel(snap.date)}">Preview</button>
+    </li>`).join('')
+    : `<li class="plan-note">No snapshots yet.</li>`;
+}
+
+/**
+ * Show what restoring a snapshot would change.
+ * @param {{id:string, date:string}} snap
+ * @param {object} diff - from state.diffSnapshot
+ */
+export function openSnapshotPreview(snap, diff) {
+  const panel = document.getElementById('snapshot-preview');
+  if (!panel) return;
+  const { added, removed, changed, settingsChanged } = diff;
+  const nothing = !added.length && !removed.length && !changed.length && !settingsChanged;
+  _setText('snapshot-summary', nothing
+    ? `${_dayLabel(snap.date)} matches your current data.`
+    : `Restoring ${_dayLabel(snap.date)} brings back ${added.length}, removes ${removed.length} and reverts ${changed.length} activit${changed.length === 1 ? 'y' : 'ies'}` +
+      (settingsChanged ? ', and restores your settings and tags as they were.' : '.'));
+
+  const LIMIT = 8;
+  const rows = [
+    ...added.map(r => ['Back', r.title]),
+    ...removed.map(r => ['Removed', r.title]),
+    ...changed.map(c => ['Reverted', `${c.record.title} (${c.fields.map(k => MERGE_LABELS[k].toLowerCase()).join(', ')})`])
+  ];
+  const diffEl = document.getElementById('snapshot-diff');
+  if (diffEl) diffEl.innerHTML = rows.slice(0, LIMIT)
+    .map(([kind, text]) => `<li><span class="diff-kind">${kind}</span>${escapeHtml(text)}</li>`).join('') +
+    (rows.length > LIMIT ? `<li class="plan-note">…and ${rows.length - LIMIT} more.</li>` : '');
+
+  const btn = document.getElementById('snapshot-restore');
+  if (btn) { btn.disabled = nothing; btn.dataset.id = snap.id; }
+  panel.hidden = false;
+  renderSnapshotList(snap.id);
+  (nothing ? document.getElementById('snapshot-cancel') : btn)?.focus();
+}
+
+export function closeSnapshotPreview() {
+  const panel = document.getElementById('snapshot-preview');
+  if (panel) panel.hidden = true;
+  renderSnapshotList();
 }
 
 export function populateTagFilter(tags) {
   const sel = document.getElementById('filter-tag');
   if (!sel) return;
+  const current = sel.value;
   sel.innerHTML = `<option value="">All Tags</option>` +
-    tags.map(t => `<option value="${escapeHtml(t.label)}">${escapeHtml(t.label)}</option>`).join('');
+    _tagOptions(tags);
+  if (tags.some(t => t.id === current)) sel.value = current;
+
+  const bulk = document.getElementById('bulk-tag');
+  if (bulk) bulk.innerHTML = `<option value="">Set tag…</option>` + _tagOptions(tags);
 }
 
 // ── Private helpers ───────────────────────────────────────────────
 
+/** @returns {string} the record's tag labels, e.g. "Academic, Professional" */
+function _tagNames(r) {
+  return r.tagIds.map(tagLabel).join(', ');
+}
+
+/** Tags in tree order — each followed by the ones nested under it — with their depth. */
+function _tagTree(tags) {
+  const ids = new Set(tags.map(t => t.id));
+  const out = [];
+  const walk = (parentId, depth) => tags
+    .filter(t => (t.parentId && ids.has(t.parentId) ? t.parentId : null) === parentId)
+    .forEach(t => { out.push({ tag: t, depth }); walk(t.id, depth + 1); });
+  walk(null, 0);
+  return out;
+}
+
+/** <option>s for tags in tree order, named by their full path. */
+function _tagOptions(tags, selected = []) {
+  return _tagTree(tags).map(({ tag }) =>
+    `<option value="${escapeHtml(tag.id)}"${selected.includes(tag.id) ? ' selected' : ''}>${escapeHtml(tagPath(tag.id))}</option>`).join('');
+}
+
+/** Reflect the selection in the row checkboxes, select-all and bulk bar. */
+function _syncSelection() {
+  document.querySelectorAll('#records-tbody .row-select').forEach(cb => {
+    cb.checked = _selected.has(cb.dataset.id);
+    cb.closest('tr')?.classList.toggle('is-selected', cb.checked);
+  });
+  const all = document.getElementById('select-all');
+  if (all) {
+    all.checked       = _visibleIds.length > 0 && _selected.size === _visibleIds.length;
+    all.indeterminate = _selected.size > 0 && _selected.size < _visibleIds.length;
+    all.disabled      = !_visibleIds.length;
+  }
+  const bar = document.getElementById('bulk-bar');
+  if (bar) bar.hidden = !_selected.size;
+  _setText('bulk-count', `${_selected.size} selected`);
+}
+
+function _dayLabel(dateStr) {
+  return new Date(dateStr + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
 function _setText(id, val) {
   const el = document.getElementById(id);
   if (el) el.textContent = val;
 }
 
+function _timeChip(r) {
+  return r.startTime ? `<span class="time-chip">${r.startTime}</span>` : '';
+}
+
+function _actualChip(r) {
+  if (!r.actualMinutes) return '';
+  const h = Math.floor(r.actualMinutes / 60), m = r.actualMinutes % 60;
+  const spent = [h && `${h}h`, m && `${m}m`].filter(Boolean).join(' ');
+  return `<span class="actual-chip" title="Time logged with the focus timer">${spent} actual</span>`;
+}
+
+function _overdueBadge(r) {
+  return isOverdue(r) ? ` <span class="status-badge status--overdue">overdue</span>` : '';
+}
+
+function _priorityChip(r) {
+  return r.priority === 'high' || r.priority === 'low'
+    ? `<span class="priority-chip is-${r.priority}">${r.priority}</span>` : '';
+}
+
+function _blockedBadge(r) {
+  if (!isBlocked(r)) return '';
+  const waits = `Waiting on ${getBlockers(r).map(p => `"${p.title}"`).join(', ')}`;
+  return ` <span class="status-badge status--blocked" title="${escapeHtml(waits)}" aria-label="Blocked. ${escapeHtml(waits)}">blocked</span>`;
+}
+
+function _subtaskChip(r) {
+  const p = subtaskProgress(r);
+  if (!p) return '';
+  const label = `${p.done} of ${p.total} step${p.total === 1 ? '' : 's'} done`;
+  return ` <span class="subtask-chip${p.done === p.total ? ' is-complete' : ''}" title="${label}" aria-label="${label}">${p.done}/${p.total}</span>`;
+}
+
+function _repeatPip(r) {
+  if (!r.recurrence) return '';
+  const desc = escapeHtml(describeRecurrence(r.recurrence));
+  return ` <span class="repeat-pip" title="${desc}" aria-label="Repeats: ${desc}">${icon('repeat',{size:11})}</span>`;
+}
+
 function _statusClass(status) {
   return { 'completed':'status--completed','in-progress':'status--in-progress',
            'not-started':'status--not-started','canceled':'status--canceled' }[status] || '';
@@ -10,7 +10,9 @@ export const PATTERNS = {
   duration:         /^(0|[1-9]\d*)(\.\d{1,2})?$/,
   date:             /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
   tag:              /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/,
-  timeToken:        /\b([01]\d|2[0-3]):[0-5]\d\b/
+  timeToken:        /\b([01]\d|2[0-3]):[0-5]\d\b/,
+  time:             /^([01]\d|2[0-3]):[0-5]\d$/,
+  positiveInt:      /^[1-9]\d*$/
 };
 
 export function validateTitle(v) {
@@ -42,11 +44,58 @@ export function validateTag(v) {
   return null;
 }
 
-export function validateForm({ title, dueDate, duration, tag }) {
+export function validateTime(v) {
+  if (!v) return null;   // start time is optional
+  if (!PATTERNS.time.test(v)) return 'Start time must be HH:MM (24-hour).';
+  return null;
+}
+
+/**
+ * Pull a start time out of a title such as "Lab 14:00".
+ * @param {string} title
+ * @returns {string|null} 'HH:MM' or null when the title has no time token
+ */
+export function extractTime(title) {
+  const m = String(title || '').match(PATTERNS.timeToken);
+  return m ? m[0] : null;
+}
+
+export function validateRecurrence(rule, dueDate) {
+  if (!rule) return null;
+  if (!PATTERNS.positiveInt.test(String(rule.interval)) || rule.interval > 365)
+    return 'Repeat interval must be a whole number from 1 to 365.';
+  if (rule.freq === 'weekly' && !rule.weekdays.length) return 'Choose at least one weekday.';
+  if (rule.until && rule.count) return 'Choose either an end date or a number of occurrences.';
+  if (rule.until) {
+    if (!PATTERNS.date.test(rule.until)) return 'End date must be YYYY-MM-DD format.';
+    if (dueDate && rule.until < dueDate) return 'End date cannot be before the first occurrence.';
+  }
+  if (rule.count != null && (!PATTERNS.positiveInt.test(String(rule.count)) || rule.count > 999))
+    return 'Occurrences must be a whole number from 1 to 999.';
+  return null;
+}
+
+/**
+ * Checklist items from the activity dialog. Blank rows are dropped before this.
+ * @param {{title:string, duration:string}[]} items
+ */
+export function validateSubtasks(items) {
+  for (const [i, st] of items.entries()) {
+    const n = i + 1;
+    if (!PATTERNS.titleHasLetter.test(st.title)) return `Step ${n} needs a title with at least one letter.`;
+    if (st.duration === '') continue;   // an estimate is optional
+    if (!PATTERNS.duration.test(st.duration)) return `Step ${n}: enter hours as a number (e.g. 0.5).`;
+    if (parseFloat(st.duration) > 24) return `Step ${n} cannot exceed 24 hours.`;
+  }
+  return null;
+}
+
+export function validateForm({ title, dueDate, duration, tag, startTime }) {
   return {
-    title:    validateTitle(title),
-    dueDate:  validateDate(dueDate),
-    duration: validateDuration(duration),
-    tag:      validateTag(tag)
+    title:     validateTitle(title),
+    dueDate:   validateDate(dueDate),
+    duration:  validateDuration(duration),
+    tag:       validateTag(tag),
+    startTime: validateTime(startTime)
   };
 }